@@ -3,65 +3,499 @@
   const app = new PIXI.Application();
   globalThis.__PIXI_APP__ = app;
 
+  // Developer options from the URL: ?debug starts with the debug overlay on
+  // (DEBUG_KEY toggles it) and ?log=debug|info|warn|error picks the log level.
+  // Logging is silent unless asked for.
+  const urlParams = new URLSearchParams(location.search);
+  const LOG_LEVELS = { debug: 0, info: 1, warn: 2, error: 3, silent: 4 };
+  const log = createLogger(urlParams.get('log') || (urlParams.has('debug') ? 'debug' : 'silent'));
+  const DEBUG_KEY = 'Backquote';
+  let debugOverlay = urlParams.has('debug');
+
+  function createLogger(level) {
+    const threshold = LOG_LEVELS.hasOwnProperty(level) ? LOG_LEVELS[level] : LOG_LEVELS.silent;
+    const logger = {};
+    ['debug', 'info', 'warn', 'error'].forEach(name => {
+      logger[name] = (...args) => {
+        if (LOG_LEVELS[name] >= threshold) console[name](...args);
+      };
+    });
+    return logger;
+  }
+
   // Game state
-  let gameState = 'mainMenu'; // 'mainMenu', 'launching', 'flying', 'shop', 'gameOver'
+  let gameState = 'mainMenu'; // 'mainMenu', 'launching', 'flying', 'paused', 'replay', 'shop', 'garage', 'history', 'achievements', 'leaderboard', 'settings', 'gameOver'
   let coins = 0;
   let distance = 0;
   let recordDistance = 0;
   let launchPower = 0;
   let launchAngle = Math.PI / 4; // 45 degrees default
   let isCharging = false;
-  let flightEnded = false;
+  let powerSwing = 1; // direction of the timing meter's needle, +1 or -1
+  let angleSwing = 1; // direction of the automatic angle sweep
 
   // Physics constants
   const PHYSICS_SCALE = 50; // 50 pixels = 1 meter
   const GRAVITY = -6; // Tuned for game feel
   const MAX_LAUNCH_POWER = 25; // m/s
   const POWER_CHARGE_RATE = 0.8; // power per second
+  const MIN_LAUNCH_ANGLE = Math.PI * 0.1;
+  const MAX_LAUNCH_ANGLE = Math.PI * 0.4;
+
+  // Timing launch (a setting): the needle swings between empty and full while
+  // SPACE is held, and releasing it in the sweet spot boosts the launch.
+  // Without the angle upgrade the barrel sweeps until SPACE is pressed.
+  const POWER_SWING_RATE = 1.5; // power per second, each way
+  const SWEET_SPOT = { min: 0.82, max: 0.92 };
+  const PERFECT_LAUNCH_BONUS = 1.15; // power multiplier
+  const ANGLE_SWEEP_RATE = Math.PI * 0.25; // rad per second
+
+  // Aerodynamics (see docs/design.md "Aero (Next)")
+  const AIR_DENSITY = 1.225; // kg/m^3
+  const MIN_AIRSPEED = 0.1; // below this no aero forces are applied
+
+  // Vehicles: body, aero model, control and look. Nose points along +x so the
+  // body angle is the heading. Aero fields:
+  //   wingArea       reference area S, m^2
+  //   liftSlope      dCL/dalpha per radian below stall
+  //   stallAngle     CL peaks here, then falls off
+  //   stallFalloff   angle over which lift blends to post-stall
+  //   postStallLift  flat-plate lift factor once fully stalled
+  //   zeroLiftDrag   CD0
+  //   inducedDrag    k in CD = CD0 + k * CL^2
+  //   formDrag       extra drag as the body turns broadside
+  //   pitchStability weathervane torque per unit dynamic pressure per radian
+  //   elevatorAlpha  trim angle of attack per unit of control authority, rad
+  const VEHICLES = {
+    dart: {
+      name: 'Dart',
+      cost: 0,
+      description: 'A reliable all-rounder',
+      polygon: [{ x: 0.45, y: 0 }, { x: -0.3, y: 0.18 }, { x: -0.3, y: -0.18 }],
+      density: 2,
+      angularDamping: 2,
+      friction: 0.3,
+      restitution: 0.2,
+      control: 1,  // multiplier on pitch authority
+      thrust: 1,   // multiplier on engine thrust
+      color: 0xef4444, // fill; outlines are white unless `outline` is set
+      aero: {
+        wingArea: 0.05,
+        liftSlope: 3.5,
+        stallAngle: 15 * Math.PI / 180,
+        stallFalloff: 10 * Math.PI / 180,
+        postStallLift: 0.6,
+        zeroLiftDrag: 0.15,
+        inducedDrag: 0.3,
+        formDrag: 1.0,
+        pitchStability: 0.004,
+        elevatorAlpha: 0.12,
+      }
+    },
+    cannonball: {
+      name: 'Cannonball',
+      cost: 300,
+      description: 'Heavy and bouncy, no lift and no steering',
+      circle: 0.3,
+      density: 4,
+      angularDamping: 0.5,
+      friction: 0.2,
+      restitution: 0.55,
+      control: 0,
+      thrust: 1.5,
+      color: 0x374151,
+      aero: {
+        wingArea: 0.28,
+        liftSlope: 0,
+        stallAngle: Math.PI, // a sphere never stalls
+        stallFalloff: 1,
+        postStallLift: 0,
+        zeroLiftDrag: 0.12,
+        inducedDrag: 0,
+        formDrag: 0,
+        pitchStability: 0,
+        elevatorAlpha: 0,
+      }
+    },
+    paperPlane: {
+      name: 'Paper Plane',
+      cost: 150,
+      description: 'Light and floaty, but slows down fast',
+      polygon: [{ x: 0.5, y: 0 }, { x: -0.35, y: 0.1 }, { x: -0.4, y: -0.05 }],
+      density: 3,
+      angularDamping: 3,
+      friction: 0.4,
+      restitution: 0.1,
+      control: 1.2,
+      thrust: 0.6,
+      color: 0xf8fafc,
+      outline: 0x1f2937, // white paper needs a dark edge
+      aero: {
+        wingArea: 0.06,
+        liftSlope: 4.2,
+        stallAngle: 12 * Math.PI / 180,
+        stallFalloff: 8 * Math.PI / 180,
+        postStallLift: 0.5,
+        zeroLiftDrag: 0.16,
+        inducedDrag: 0.25,
+        formDrag: 1.2,
+        pitchStability: 0.002,
+        elevatorAlpha: 0.1,
+      }
+    },
+    hangGlider: {
+      name: 'Hang Glider',
+      cost: 1200,
+      description: 'Long, flat glides with gentle handling',
+      polygon: [{ x: 0.6, y: 0.05 }, { x: 0, y: 0.2 }, { x: -0.6, y: 0.05 }, { x: -0.4, y: -0.1 }, { x: 0.4, y: -0.1 }],
+      density: 1.2,
+      angularDamping: 3,
+      friction: 0.4,
+      restitution: 0.1,
+      control: 0.8,
+      thrust: 0.8,
+      color: 0x22c55e,
+      aero: {
+        wingArea: 0.12,
+        liftSlope: 5,
+        stallAngle: 14 * Math.PI / 180,
+        stallFalloff: 12 * Math.PI / 180,
+        postStallLift: 0.7,
+        zeroLiftDrag: 0.08,
+        inducedDrag: 0.12,
+        formDrag: 1.0,
+        pitchStability: 0.01,
+        elevatorAlpha: 0.1,
+      }
+    },
+    rocketSled: {
+      name: 'Rocket Sled',
+      cost: 2000,
+      description: 'Stubby wings, huge engine, slides for miles',
+      polygon: [{ x: 0.5, y: -0.05 }, { x: 0.3, y: 0.15 }, { x: -0.45, y: 0.15 }, { x: -0.45, y: -0.15 }, { x: 0.3, y: -0.15 }],
+      density: 2.5,
+      angularDamping: 2,
+      friction: 0.1,
+      restitution: 0.1,
+      control: 1,
+      thrust: 2,
+      color: 0x3b82f6,
+      aero: {
+        wingArea: 0.06,
+        liftSlope: 2.5,
+        stallAngle: 18 * Math.PI / 180,
+        stallFalloff: 10 * Math.PI / 180,
+        postStallLift: 0.5,
+        zeroLiftDrag: 0.12,
+        inducedDrag: 0.35,
+        formDrag: 0.8,
+        pitchStability: 0.006,
+        elevatorAlpha: 0.12,
+      }
+    }
+  };
+  const DEFAULT_VEHICLE = 'dart';
+
+  // Fixed timestep: physics always advances in PHYSICS_DT steps, independent of frame rate
+  const PHYSICS_DT = 1 / 60;
+  const PHYSICS_SUBSTEPS = 1;     // world.step calls per fixed step; raise if unstable
+  const MAX_STEPS_PER_FRAME = 5;  // cap catch-up work after a slow frame
+  const MAX_FRAME_TIME = 0.25;    // ignore longer gaps (tab switches, breakpoints)
+
+  // Procedural terrain: a pure function of (seed, x), streamed into physics in chunks
+  const TERRAIN = {
+    chunkWidth: 40,        // m of terrain per streamed chain body
+    step: 2,               // m between profile vertices
+    baseY: -1,             // launch pad surface height
+    padEnd: 20,            // flat launch area ends here
+    blend: 30,             // m over which the hills fade in after the pad
+    slope: -0.02,          // overall downhill trend, m per m
+    hills: [
+      { wavelength: 120, amplitude: 9 },
+      { wavelength: 35, amplitude: 2.5 }
+    ],
+    rampChance: 0.4,       // per chunk
+    rampLength: [8, 14],   // m, run-up of a ramp
+    rampHeight: [1.5, 3.5],// m, lip height above the surrounding ground
+    rampDrop: 2,           // m, length of the drop back down after the lip
+    ahead: 120,            // keep chunks this far ahead of the player...
+    behind: 60,            // ...and this far behind
+    friction: 0.35,
+    restitution: 0.3
+  };
+
+  // Air zones: sensor volumes placed per terrain chunk. `wind` is moving air,
+  // felt through the aerodynamics; `push` is a direct acceleration (m/s^2).
+  const AIR_ZONES = {
+    thermal: {
+      name: 'Thermal',
+      weight: 3,
+      width: 8, height: 30, floor: 0, // floor: m above the ground
+      wind: { x: 0, y: 5 },
+      push: { x: 0, y: 3 },
+      color: 0xfbbf24
+    },
+    tailwind: {
+      name: 'Tailwind',
+      weight: 2,
+      width: 30, height: 10, floor: 5,
+      wind: { x: 9, y: 0 },
+      push: { x: 0, y: 0 },
+      color: 0x34d399
+    },
+    headwind: {
+      name: 'Headwind',
+      weight: 2,
+      width: 24, height: 10, floor: 4,
+      wind: { x: -8, y: 0 },
+      push: { x: 0, y: 0 },
+      color: 0xf87171
+    },
+    downdraft: {
+      name: 'Downdraft',
+      weight: 1,
+      width: 8, height: 30, floor: 0,
+      wind: { x: 0, y: -5 },
+      push: { x: 0, y: -2 },
+      color: 0x818cf8
+    }
+  };
+  const AIR_ZONE_CHANCE = 0.7; // per chunk
+  const NO_WIND = { x: 0, y: 0 };
+
+  // In-flight pickups: sensor circles placed per chunk, removed once collected
+  const PICKUPS = {
+    coin: { name: 'Coin', radius: 0.4, coins: 5, color: 0xFFD700 },
+    boostRing: { name: 'Boost Ring', radius: 1.2, boost: 6, color: 0x38bdf8 }, // m/s along the flight path
+    fuelCan: { name: 'Fuel Can', radius: 0.5, fuel: 1.5, color: 0xef4444 }     // seconds of thrust
+  };
+  const COIN_ARC_CHANCE = 0.6;   // per chunk
+  const COIN_ARC_COUNT = 5;
+  const BOOST_RING_CHANCE = 0.25;
+  const FUEL_CAN_CHANCE = 0.15;
+  const COINS_PER_METER = 2;
 
-  // Upgrades system
-  const UPGRADES = {
-    launcherPower: { 
-      name: "Launch Power", 
-      baseCost: 15,
-      maxLevel: 10,
-      effect: (level) => 1 + level * 0.3
+  // Hazards: data-defined obstacles, at most one per chunk. Each part is a circle
+  // or box at `offset` from the anchor (`height` m above the ground):
+  //   solid   - collides physically (and counts as ground for landing)
+  //   visual  - drawn only, no fixture
+  //   outcome - sensor effect on touch: crash (ends the flight),
+  //             slow (velocity factor) or bounce (minimum upward speed, m/s)
+  //   consumed - the part disappears once hit
+  const HAZARDS = {
+    bird: {
+      name: 'Bird',
+      weight: 3,
+      height: [4, 14],
+      parts: [
+        { circle: 0.4, offset: [0, 0], outcome: { slow: 0.6 }, consumed: true, color: 0x1f2937 }
+      ]
+    },
+    balloon: {
+      name: 'Balloon',
+      weight: 2,
+      height: [6, 16],
+      parts: [
+        { box: [0.02, 0.8], offset: [0, -1.6], visual: true, color: 0xe5e7eb },
+        { circle: 0.8, offset: [0, 0], outcome: { slow: 0.85 }, consumed: true, color: 0xec4899 }
+      ]
     },
-    launcherAngle: { 
-      name: "Angle Control", 
-      baseCost: 50, 
-      maxLevel: 1,
-      unlockOnly: true,
-      description: "Adjust launch angle with arrow keys"
+    powerLine: {
+      name: 'Power Line',
+      weight: 1,
+      height: [0, 0],
+      parts: [
+        { box: [0.15, 3.5], offset: [-6, 3.5], visual: true, color: 0x78350f },
+        { box: [0.15, 3.5], offset: [6, 3.5], visual: true, color: 0x78350f },
+        { box: [6, 0.05], offset: [0, 6.8], outcome: { crash: true }, color: 0x111827 }
+      ]
     },
-    flightControl: { 
-      name: "Flight Control", 
-      baseCost: 150, 
-      maxLevel: 1,
-      unlockOnly: true,
-      description: "Pitch control during flight"
+    tree: {
+      name: 'Tree',
+      weight: 2,
+      height: [0, 0],
+      parts: [
+        { box: [0.25, 1.5], offset: [0, 1.5], solid: true, color: 0x78350f },
+        { circle: 1.8, offset: [0, 4], outcome: { slow: 0.5 }, color: 0x15803d }
+      ]
     },
-    controlPower: {
-      name: "Control Authority",
-      baseCost: 75,
-      maxLevel: 5,
-      effect: (level) => level * 0.5,
-      requires: 'flightControl'
+    trampoline: {
+      name: 'Trampoline',
+      weight: 1,
+      height: [0, 0],
+      parts: [
+        { box: [1.5, 0.2], offset: [0, 0.4], outcome: { bounce: 12 }, color: 0x2563eb }
+      ]
+    },
+    awning: {
+      name: 'Awning',
+      weight: 1,
+      height: [0, 0],
+      parts: [
+        { box: [0.1, 1.1], offset: [1.4, 1.1], visual: true, color: 0x6b7280 },
+        { box: [1.6, 0.1], offset: [0, 2.2], angle: 0.3, solid: true, restitution: 0.9, friction: 0.05, color: 0xf59e0b }
+      ]
     }
   };
+  const HAZARD_CHANCE = 0.5;     // per chunk
+  const HAZARD_MIN_X = 60;       // keep the first stretch clear for new pilots
+  const HAZARD_FLASH_STEPS = 60; // how long the HUD shows the last hazard hit
+
+  // Landing: the flight ends once the player has come to rest on the ground
+  const REST_SPEED = 0.5;        // m/s
+  const REST_STEPS = 30;         // consecutive grounded slow steps before the flight ends
+  const MAX_FLIGHT_STEPS = 60 * 60 * 5;
+  const BOUNCE_MIN_AIR_STEPS = 6; // airborne steps before a touchdown counts as a bounce
+
+  // Run history kept per profile, newest last
+  const RUN_HISTORY_LIMIT = 50;
+  const HISTORY_LIST_LENGTH = 8;  // runs listed under the chart
+
+  // Personal-best ghost: the record flight's path, sampled every few steps
+  const GHOST_SAMPLE_STEPS = 3;
+  const MAX_GHOST_SAMPLES = 3600;  // 3 minutes of flight; the ghost waits at the end after that
+  const GHOST_ALPHA = 0.35;
+
+  // Targeting preview: a scratch flight from the launcher up to the first touchdown
+  const PREVIEW_DOT_STEPS = 4; // physics steps between dots
+  const PREVIEW_MAX_STEPS = 600;
+  const PREVIEW_FRAME_BUDGET_MS = 2; // a whole prediction costs too much for one frame
+
+  // Per-profile settings and their defaults
+  const DEFAULT_SETTINGS = {
+    showGhost: true, // personal-best ghost and record marker while flying
+    timingLaunch: false, // swinging power meter with a sweet spot, instead of charging
+    keyBindings: {}, // action -> key code, over the ACTIONS defaults
+    volume: 0.8, // master volume, 0..1
+    musicVolume: 0.5, // music bus, 0..1 of the master
+    sfxVolume: 1, // sound effects bus, 0..1 of the master
+    reducedMotion: !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches),
+    units: 'metric', // key of UNIT_SYSTEMS
+    quality: 'medium', // key of QUALITY_LEVELS
+    dayNight: true // the time of day moves on with every flight
+  };
+  const VOLUME_STEPS = [0, 0.2, 0.4, 0.6, 0.8, 1];
+
+  // Display units; physics stays in metres and m/s
+  const UNIT_SYSTEMS = {
+    metric: { label: 'Metric (m, km/h)', distance: 1, distanceSuffix: 'm', speed: 3.6, speedSuffix: 'km/h' },
+    imperial: { label: 'Imperial (ft, mph)', distance: 3.28084, distanceSuffix: 'ft', speed: 2.23694, speedSuffix: 'mph' }
+  };
+
+  // Render quality: canvas resolution and how much decoration is drawn
+  const QUALITY_LEVELS = {
+    low: { label: 'Low', resolution: 0.75, windStreaks: 8 },
+    medium: { label: 'Medium', resolution: 1, windStreaks: 24 },
+    high: { label: 'High', resolution: Math.min(window.devicePixelRatio || 1, 2), windStreaks: 24 }
+  };
+
+  // Camera (see updateCamera)
+  const CAMERA_FOLLOW_RATE = 5; // 1/s, how quickly the view catches up
+  const CAMERA_ZOOM_RATE = 1.5; // 1/s
+  const LOOK_AHEAD_TIME = 0.4; // s of velocity the view leads by
+  const MAX_LOOK_AHEAD = 8; // m
+  const MIN_ZOOM = 0.35;
+  const ZOOM_SPEED = 60; // m/s at which speed alone halves the zoom
+  const SHAKE_MIN_SPEED = 4; // m/s into the ground before a landing shakes the view
+  const SHAKE_FULL_SPEED = 25; // m/s for a full-strength shake
+  const SHAKE_DECAY = 2; // trauma lost per second
+  const MAX_SHAKE = 14; // px
 
-  let upgrades = {
-    launcherPower: 0,
-    launcherAngle: 0,
-    flightControl: 0,
-    controlPower: 0
+  // Background: the sky's colours through the day (0 = midnight, 0.5 = noon),
+  // darkening towards space with altitude, behind parallax layers that tile
+  // forever. A layer's `factor` is how fast it scrolls relative to the camera.
+  const SKY_KEYS = [
+    { time: 0, top: 0x0b1026, horizon: 0x1e293b, light: 0.3 },
+    { time: 0.22, top: 0x312e81, horizon: 0xfb923c, light: 0.7 },
+    { time: 0.32, top: 0x1e3a8a, horizon: 0x93c5fd, light: 1 },
+    { time: 0.68, top: 0x1e3a8a, horizon: 0x93c5fd, light: 1 },
+    { time: 0.78, top: 0x4c1d95, horizon: 0xf97316, light: 0.7 },
+    { time: 1, top: 0x0b1026, horizon: 0x1e293b, light: 0.3 }
+  ];
+  const SPACE_COLOR = 0x020617;
+  const SPACE_ALTITUDE = 400; // m above the launch pad where the sky is black
+  const DAY_START = 0.4; // time of day of the first flight
+  const DAY_PER_FLIGHT = 0.125; // eight flights to a day
+  const PARALLAX_LAYERS = [
+    // ridge: a skyline whose peaks reach between `peaks` (fractions of screen height);
+    // clouds: `count` per tile within `band`, drifting `drift` px/s
+    { kind: 'ridge', factor: 0.08, tile: 1600, color: 0x64748b, peaks: [0.3, 0.62], waves: [1, 3, 7] },
+    { kind: 'clouds', factor: 0.15, tile: 1400, color: 0xFFFFFF, alpha: 0.8, band: [0.08, 0.4], count: 6, drift: 10 },
+    { kind: 'ridge', factor: 0.3, tile: 1200, color: 0x3f6212, peaks: [0.52, 0.72], waves: [2, 5, 9] }
+  ];
+
+  // Upgrades are loaded from data/upgrades.json (see loadUpgradeTree). Each one
+  // has a tier, prerequisites, a cost curve and stat modifiers; `scope: 'vehicle'`
+  // upgrades are bought separately for each vehicle, the rest are shared.
+  const UPGRADES_URL = 'data/upgrades.json';
+  const UPGRADES = {}; // id -> definition, in file order
+  const DEFAULT_COST_GROWTH = 1.25; // cost = base * growth^level (docs/design.md)
+
+  // Flight stats every loadout starts from; upgrade modifiers and the vehicle
+  // adjust these in getStats, the one place they are combined
+  const STATS = {
+    launchPower: { base: 1, label: 'Launch power', format: (v) => `×${v.toFixed(2)}` },
+    angleControl: { base: 0, label: 'Angle control', format: (v) => v ? 'On' : 'Off' },
+    pitchControl: { base: 0, label: 'Pitch control', format: (v) => v ? 'On' : 'Off' },
+    controlAuthority: { base: 1, label: 'Control', format: (v) => `×${v.toFixed(2)}` },
+    engineThrust: { base: 0, label: 'Thrust', format: (v) => `${v.toFixed(2)} N` },
+    fuelCapacity: { base: 3, label: 'Fuel', format: (v) => `${v.toFixed(1)} s` },
+    targeting: { base: 0, label: 'Targeting', format: (v) => v >= 2 ? 'Arc + landing' : v >= 1 ? 'Arc' : 'Off' }
   };
+  const MODIFIER_OPS = ['set', 'add']; // applied in this order
+
+  // Shared upgrade levels, keyed by upgrade id
+  let upgrades = {};
+
+  // Garage
+  let selectedVehicle = DEFAULT_VEHICLE;
+  let ownedVehicles = [DEFAULT_VEHICLE];
+  let vehicleUpgrades = {}; // vehicle id -> levels of its 'vehicle' scoped upgrades
 
-  // Physics world
-  let world;
-  let playerBody;
-  let groundBodies = [];
-  let camera = { x: 0, y: 0 };
+  // Per-profile preferences, stored with the save (see DEFAULT_SETTINGS)
+  let settings = {};
+
+  // Trajectory of the record flight, or null (see recordTrajectory)
+  let bestGhost = null;
+
+  // Time of day of the current flight, 0..1 from midnight (see SKY_KEYS)
+  let timeOfDay = DAY_START;
+
+  // Targeting predictions: the last finished one, and the one being flown
+  let trajectoryPreview = null; // { sim, key, scratch, points, landing, done }
+  let pendingPreview = null;
+
+  // Save profiles (see loadProfiles)
+  let profiles = [];
+  let activeProfileId = null;
+
+  // Physics world: each flight runs in its own simulation (see createSimulation)
+  let sim = null;
+  let camera = { x: 0, y: 0, zoom: 1, shake: 0 }; // shake: trauma 0..1 (see updateCamera)
+  let controlInput = 0; // INPUT_* bitmask sampled by the next physics step
+  let physicsAccumulator = 0; // unsimulated time carried between frames, seconds
+  let renderAlpha = 0; // 0..1 blend between the previous and current physics step
+  let physicsTime = { ms: 0, steps: 0 }; // time spent stepping in the last frame (for the debug overlay)
+
+  // Replays: a flight is fully described by its seed, launch, loadout and per-step inputs
+  const INPUT_PITCH_UP = 1;
+  const INPUT_PITCH_DOWN = 2;
+  const INPUT_THRUST = 4;
+  const REPLAY_VERSION = 1;
+  const MAX_REPLAY_STEPS = MAX_FLIGHT_STEPS + 1; // re-simulation gives up past the flight cap
+  const REPLAY_VERIFY_BUDGET_MS = 2; // re-simulation time per frame while a replay plays
+  let liveInputs = []; // input bitmask for every step of the current flight
+  let lastRecording = null; // recording of the most recent finished flight
+  let replay = null; // { recording, inputs, verification, returnState } while gameState === 'replay'
+  let statusMessage = ''; // feedback after exporting or importing a replay or save
+  let lastEarnings = { distance: 0, pickups: 0 }; // coins from the last flight, by source
+  let lastCrash = null; // hazard name if the last flight ended in a crash
+  let lastRun = null; // summary of the last live flight (see createRunSummary)
+  let runHistory = []; // recent run summaries for the active profile, oldest first
+  let unlockedAchievements = {}; // achievement id -> unlock time (ms)
+  let toasts = []; // { text, age, view } notices on screen, oldest first
+  let leaderboard = null; // scores backend (see createMemoryLeaderboard), set up at init
+  let dailyChallenge = null; // date key while flying the daily challenge, null for a normal flight
 
   // Game objects
   let launcher;
@@ -69,287 +503,2456 @@
   let ground;
   let background;
 
-  // Load/Save system
-  function loadGameData() {
-    try {
-      const saved = localStorage.getItem('lift-drag-thrust-grav');
-      if (saved) {
-        const data = JSON.parse(saved);
-        coins = data.coins || 0;
-        recordDistance = data.recordDistance || 0;
-        upgrades = { ...upgrades, ...data.upgrades };
-      }
-    } catch (e) {
-      console.log('No saved data found');
-    }
-  }
+  // UI hooks, assigned once the renderer is ready
+  let updateUI = () => {};
 
-  function saveGameData() {
-    try {
-      const data = {
-        coins,
-        recordDistance,
-        upgrades,
-        version: 1
+  // Load/Save system. Each profile's save is a versioned JSON blob in
+  // localStorage: older versions are migrated forward one step at a time, then
+  // checked against SAVE_FIELDS. A save that can't be loaded is copied to the
+  // profile's backup slot before the game falls back to a fresh start.
+  const SAVE_KEY = 'lift-drag-thrust-grav';
+  const SAVE_VERSION = 6;
+  const SAVE_FILE_NAME = 'lift-drag-thrust-grav-save.json';
+
+  // SAVE_MIGRATIONS[n] turns a version n save into version n + 1
+  const SAVE_MIGRATIONS = {
+    // v1 kept every upgrade level in `upgrades`; per-vehicle ones now belong to the dart.
+    // It also left out coins and the record until they were earned.
+    1: (data) => {
+      const upgradeLevels = { ...(data.upgrades || {}) };
+      const dartLevels = {};
+      ['controlPower', 'engine', 'fuelTank'].forEach(key => {
+        if (key in upgradeLevels) dartLevels[key] = upgradeLevels[key];
+        delete upgradeLevels[key];
+      });
+      return {
+        ...data,
+        coins: data.coins || 0,
+        recordDistance: data.recordDistance || 0,
+        upgrades: upgradeLevels,
+        vehicleUpgrades: data.vehicleUpgrades || { [DEFAULT_VEHICLE]: dartLevels },
+        ownedVehicles: data.ownedVehicles || [DEFAULT_VEHICLE],
+        selectedVehicle: data.selectedVehicle || DEFAULT_VEHICLE,
+        version: 2
       };
-      localStorage.setItem('lift-drag-thrust-grav', JSON.stringify(data));
-    } catch (e) {
-      console.log('Failed to save data');
+    },
+    // v3 adds per-profile settings
+    2: (data) => ({ ...data, settings: {}, version: 3 }),
+    // v4 adds the run history
+    3: (data) => ({ ...data, history: [], version: 4 }),
+    // v5 adds unlocked achievements
+    4: (data) => ({ ...data, achievements: {}, version: 5 }),
+    // v6 adds the personal-best ghost
+    5: (data) => ({ ...data, ghost: null, version: 6 })
+  };
+
+  const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+  const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+  // Shape of a current-version save
+  const SAVE_FIELDS = {
+    coins: isCount,
+    recordDistance: (value) => typeof value === 'number' && isFinite(value) && value >= 0,
+    upgrades: isPlainObject,
+    vehicleUpgrades: isPlainObject,
+    ownedVehicles: (value) => Array.isArray(value) && value.every(id => typeof id === 'string'),
+    selectedVehicle: (value) => typeof value === 'string',
+    settings: isPlainObject,
+    history: (value) => Array.isArray(value) && value.every(isRunSummary),
+    achievements: (value) => isPlainObject(value) &&
+      Object.values(value).every(time => typeof time === 'number' && isFinite(time)),
+    ghost: (value) => value === null || (isPlainObject(value) &&
+      typeof value.vehicle === 'string' && typeof value.distance === 'number' &&
+      Array.isArray(value.points) && value.points.length >= 3 && value.points.length % 3 === 0 &&
+      value.points.every(n => typeof n === 'number' && isFinite(n)))
+  };
+
+  const RUN_SUMMARY_FIELDS = ['date', 'seed', 'distance', 'peakAltitude', 'topSpeed', 'airtime', 'bounces', 'coins'];
+  function isRunSummary(run) {
+    return isPlainObject(run) && typeof run.vehicle === 'string' &&
+      RUN_SUMMARY_FIELDS.every(field => typeof run[field] === 'number' && isFinite(run[field]));
+  }
+
+  function createDefaultSave() {
+    return {
+      coins: 0,
+      recordDistance: 0,
+      upgrades: {},
+      vehicleUpgrades: {},
+      ownedVehicles: [DEFAULT_VEHICLE],
+      selectedVehicle: DEFAULT_VEHICLE,
+      settings: {},
+      history: [],
+      achievements: {},
+      ghost: null,
+      version: SAVE_VERSION
+    };
+  }
+
+  function migrateSave(data) {
+    let version = data.version === undefined ? 1 : data.version;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('Save has an invalid version');
     }
+    if (version > SAVE_VERSION) {
+      throw new Error('Save is from a newer version of the game');
+    }
+    while (version < SAVE_VERSION) {
+      data = SAVE_MIGRATIONS[version](data);
+      version = data.version;
+    }
+    return data;
   }
 
-  // Physics helpers
-  function createPhysicsWorld() {
-    world = new planck.World({ x: 0, y: GRAVITY });
-    
-    // Create ground
-    createGround();
-    
-    // Create player
-    createPlayer();
-    
-    // Add collision detection
-    world.on('begin-contact', function(contact) {
-      const bodyA = contact.getFixtureA().getBody();
-      const bodyB = contact.getFixtureB().getBody();
-      
-      // Check if player hit ground
-      if ((bodyA === playerBody && groundBodies.includes(bodyB)) ||
-          (bodyB === playerBody && groundBodies.includes(bodyA))) {
-        if (gameState === 'flying' && !flightEnded) {
-          console.log('Ground collision detected!');
-          flightEnded = true;
-          endFlight();
-        }
+  // Upgrade levels of one scope; unknown upgrades are dropped (the tree may
+  // have changed) and levels are capped at the current max
+  function readSavedLevels(levels, scope, where) {
+    const result = {};
+    Object.entries(levels).forEach(([key, level]) => {
+      const upgrade = UPGRADES[key];
+      if (!upgrade || (upgrade.scope === 'vehicle') !== (scope === 'vehicle')) {
+        log.warn(`Dropping unknown upgrade "${key}" from ${where}`);
+        return;
+      }
+      if (!isCount(level)) {
+        throw new Error(`Save has an invalid level for ${key}`);
       }
+      result[key] = Math.min(level, upgrade.maxLevel);
     });
+    return result;
   }
 
-  function createGround() {
-    groundBodies = [];
+  // Check a migrated save against SAVE_FIELDS and return a clean copy
+  function validateSave(data) {
+    if (!isPlainObject(data)) {
+      throw new Error('Save is not an object');
+    }
+    Object.entries(SAVE_FIELDS).forEach(([field, isValid]) => {
+      if (!isValid(data[field])) throw new Error(`Save has an invalid ${field}`);
+    });
     
-    // Create multiple ground segments
-    for (let i = -5; i < 50; i++) {
-      const groundBody = world.createBody({
-        type: 'static',
-        position: { x: i * 10, y: -2 }
-      });
-      
-      groundBody.createFixture({
-        shape: planck.Box(5, 1),
-        friction: 0.7,
-        restitution: 0.1
-      });
-      
-      groundBodies.push(groundBody);
+    const vehicleUpgradeLevels = {};
+    Object.entries(data.vehicleUpgrades).forEach(([id, levels]) => {
+      if (!VEHICLES.hasOwnProperty(id) || !isPlainObject(levels)) {
+        throw new Error(`Save has invalid upgrades for vehicle ${id}`);
+      }
+      vehicleUpgradeLevels[id] = readSavedLevels(levels, 'vehicle', id);
+    });
+    const owned = [...new Set([DEFAULT_VEHICLE, ...data.ownedVehicles])];
+    if (!owned.every(id => VEHICLES.hasOwnProperty(id))) {
+      throw new Error('Save owns an unknown vehicle');
+    }
+    if (!owned.includes(data.selectedVehicle)) {
+      throw new Error('Save has selected a vehicle it does not own');
     }
     
-    console.log('Created ground bodies:', groundBodies.length);
+    return {
+      coins: data.coins,
+      recordDistance: data.recordDistance,
+      upgrades: readSavedLevels(data.upgrades, 'global', 'upgrades'),
+      vehicleUpgrades: vehicleUpgradeLevels,
+      ownedVehicles: owned,
+      selectedVehicle: data.selectedVehicle,
+      settings: { ...data.settings },
+      history: data.history.slice(-RUN_HISTORY_LIMIT),
+      // Achievements removed from the data file are forgotten
+      achievements: Object.fromEntries(Object.entries(data.achievements)
+        .filter(([id]) => ACHIEVEMENTS.hasOwnProperty(id))),
+      ghost: data.ghost,
+      version: SAVE_VERSION
+    };
   }
 
-  function createPlayer() {
-    if (playerBody) {
-      world.destroyBody(playerBody);
+  // Accepts the stored JSON, an exported file, or an exported save code
+  function parseSave(text) {
+    const source = String(text || '').trim();
+    let data;
+    try {
+      data = JSON.parse(source.startsWith('{') ? source : fromBase64Url(source));
+    } catch (e) {
+      throw new Error('Save could not be read');
     }
-    
-    playerBody = world.createBody({
-      type: 'dynamic',
-      position: { x: 0, y: 2 },
-      bullet: true
-    });
-    
-    playerBody.createFixture({
-      shape: planck.Circle(0.3),
-      density: 1,
-      friction: 0.3,
-      restitution: 0.2
+    if (!isPlainObject(data)) {
+      throw new Error('Save is not an object');
+    }
+    return validateSave(migrateSave(data));
+  }
+
+  function applySave(save) {
+    coins = save.coins;
+    recordDistance = save.recordDistance;
+    Object.keys(upgrades).forEach(key => {
+      upgrades[key] = save.upgrades[key] || 0;
     });
-    
-    console.log('Created player body at:', playerBody.getPosition());
+    vehicleUpgrades = save.vehicleUpgrades;
+    ownedVehicles = save.ownedVehicles;
+    selectedVehicle = save.selectedVehicle;
+    settings = save.settings;
+    runHistory = save.history;
+    unlockedAchievements = save.achievements;
+    bestGhost = save.ghost;
   }
 
-  function resetPlayerPosition() {
-    if (playerBody) {
-      playerBody.setTransform({ x: 0, y: 2 }, 0);
-      playerBody.setLinearVelocity({ x: 0, y: 0 });
-      playerBody.setAngularVelocity(0);
-    }
+  function serializeSave() {
+    return {
+      coins,
+      recordDistance,
+      upgrades,
+      vehicleUpgrades,
+      ownedVehicles,
+      selectedVehicle,
+      settings,
+      history: runHistory,
+      achievements: unlockedAchievements,
+      ghost: bestGhost,
+      version: SAVE_VERSION
+    };
   }
 
-  function launchPlayer() {
-    if (!playerBody) return;
-    
-    const power = launchPower * MAX_LAUNCH_POWER * UPGRADES.launcherPower.effect(upgrades.launcherPower);
-    const vx = Math.cos(launchAngle) * power;
-    const vy = Math.sin(launchAngle) * power;
-    
-    playerBody.setLinearVelocity({ x: vx, y: vy });
+  function loadGameData() {
+    let raw = null;
+    try {
+      raw = localStorage.getItem(getSaveKey(activeProfileId));
+    } catch (e) {
+      log.warn('Storage is unavailable; progress will not be kept');
+    }
+    if (!raw) {
+      applySave(createDefaultSave());
+      return;
+    }
     
-    gameState = 'flying';
-    distance = 0;
-    flightEnded = false; // Reset flight ended flag
-    updateUI();
+    try {
+      applySave(parseSave(raw));
+    } catch (e) {
+      log.warn('Save data rejected:', e.message);
+      backupSave(raw);
+      applySave(createDefaultSave());
+      statusMessage = `${e.message}. Starting fresh; the old save was kept as a backup.`;
+    }
   }
 
-  function updatePhysics(deltaTime) {
-    if (gameState === 'flying' && world) {
-      // Step physics
-      world.step(1/60);
-      
-      // Update distance
-      if (playerBody) {
-        const pos = playerBody.getPosition();
-        distance = Math.max(distance, pos.x);
-        
-        // Update camera to follow player (horizontal + upward only)
-        camera.x = pos.x * PHYSICS_SCALE - app.renderer.width * 0.3;
-        
-        // Only scroll up, never down from initial position
-        const baseY = app.renderer.height * 0.7;
-        const playerScreenY = -pos.y * PHYSICS_SCALE + baseY;
-        camera.y = Math.min(0, playerScreenY - baseY); // Only allow upward scrolling
-        
-        // Check if player hit ground or went too low (more reliable detection)
-        // Ground is at y = -2, player radius is 0.3, so collision at y = -1.7
-        if (pos.y <= -1.5 && !flightEnded) {
-          console.log('Player hit ground at y:', pos.y, 'Distance achieved:', distance);
-          flightEnded = true;
-          endFlight();
-        }
-        
-        // Also check if player is moving very slowly (stuck)
-        const vel = playerBody.getLinearVelocity();
-        const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
-        if (speed < 0.5 && pos.y < 0 && !flightEnded) {
-          console.log('Player stopped moving, ending flight. Speed:', speed, 'Y:', pos.y);
-          flightEnded = true;
-          endFlight();
-        }
-      }
-      
-      // Apply air resistance
-      if (playerBody) {
-        const vel = playerBody.getLinearVelocity();
-        const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
-        const dragForce = speed * speed * 0.01; // Quadratic drag
-        
-        if (speed > 0) {
-          const dragX = -(vel.x / speed) * dragForce;
-          const dragY = -(vel.y / speed) * dragForce;
-          playerBody.applyForceToCenter({ x: dragX, y: dragY });
-        }
-      }
+  function saveGameData() {
+    try {
+      localStorage.setItem(getSaveKey(activeProfileId), JSON.stringify(serializeSave()));
+    } catch (e) {
+      log.error('Failed to save data');
     }
   }
 
-  function endFlight() {
-    coins += Math.floor(distance * 2); // 2 coins per meter
-    
-    if (distance > recordDistance) {
-      recordDistance = distance;
+  function backupSave(raw) {
+    try {
+      localStorage.setItem(`${getSaveKey(activeProfileId)}:backup`, raw);
+    } catch (e) {
+      log.error('Failed to back up save data');
     }
+  }
+
+  // Download the save as a file and copy it as a code, for moving between browsers
+  function exportSave() {
+    const save = serializeSave();
+    const file = new Blob([JSON.stringify(save, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(file);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = SAVE_FILE_NAME;
+    link.click();
+    // Some browsers only start the download after this handler returns
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
     
-    saveGameData();
-    gameState = 'gameOver';
+    const code = toBase64Url(JSON.stringify(save));
+    const fallback = () => window.prompt('Copy this save code:', code);
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(code).then(() => {
+        statusMessage = 'Save downloaded and save code copied to clipboard';
+        updateUI();
+      }, fallback);
+    } else {
+      fallback();
+    }
+  }
+
+  // Replace progress with an imported save; the current one goes to the backup slot
+  function importSave(text) {
+    try {
+      const save = parseSave(text);
+      if (!window.confirm(`Replace your progress with this save (${save.coins} coins)?`)) return;
+      backupSave(JSON.stringify(serializeSave()));
+      applySave(save);
+      saveGameData();
+      statusMessage = 'Save imported';
+    } catch (e) {
+      statusMessage = e.message;
+    }
     updateUI();
   }
 
-  // Input handling
-  let keys = {};
-  
-  function setupInput() {
-    window.addEventListener('keydown', (e) => {
-      keys[e.code] = true;
-      
-      if (e.code === 'Space') {
-        e.preventDefault();
-        if (gameState === 'launching') {
-          isCharging = true;
-        }
-      }
-    });
-    
-    window.addEventListener('keyup', (e) => {
-      keys[e.code] = false;
-      
-      if (e.code === 'Space') {
-        e.preventDefault();
-        if (gameState === 'launching' && isCharging) {
-          isCharging = false;
-          launchPlayer();
-        }
-      }
+  function importSaveFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      if (file) file.text().then(importSave);
     });
+    input.click();
   }
 
-  function updateInput(deltaTime) {
-    if (gameState === 'launching') {
-      // Charge power
-      if (isCharging && launchPower < 1) {
-        launchPower += POWER_CHARGE_RATE * deltaTime;
-        launchPower = Math.min(launchPower, 1);
+  // Game events: gameplay code announces what happened, subsystems such as
+  // achievements listen. Only live play emits; replays and verification don't.
+  const gameEventListeners = {}; // type -> [listener]
+
+  function onGameEvent(type, listener) {
+    (gameEventListeners[type] = gameEventListeners[type] || []).push(listener);
+  }
+
+  function emitGameEvent(type, payload) {
+    (gameEventListeners[type] || []).forEach(listener => listener(payload));
+  }
+
+  // Achievements: loaded from data/achievements.json. Each one listens for an
+  // `event` and unlocks when every field in `when` is within its min/max.
+  const ACHIEVEMENTS_URL = 'data/achievements.json';
+  const ACHIEVEMENTS = {}; // id -> definition, in file order
+
+  function loadAchievements() {
+    return fetchData(ACHIEVEMENTS_URL).then(data => {
+      if (!data || !Array.isArray(data.achievements)) {
+        throw new Error('Achievements file has no achievements list');
       }
-      
-      // Adjust angle if upgraded
-      if (upgrades.launcherAngle > 0) {
-        if (keys['ArrowUp'] && launchAngle < Math.PI * 0.4) {
-          launchAngle += Math.PI * 0.5 * deltaTime;
+      data.achievements.forEach(achievement => {
+        if (typeof achievement.id !== 'string' || ACHIEVEMENTS.hasOwnProperty(achievement.id)) {
+          throw new Error(`Achievement "${achievement.id}" needs a unique id`);
         }
-        if (keys['ArrowDown'] && launchAngle > Math.PI * 0.1) {
-          launchAngle -= Math.PI * 0.5 * deltaTime;
+        if (typeof achievement.event !== 'string' || !isPlainObject(achievement.when)) {
+          throw new Error(`Achievement "${achievement.id}" needs an event and conditions`);
         }
+        ACHIEVEMENTS[achievement.id] = achievement;
+      });
+    });
+  }
+
+  // Subscribe every achievement to its event; called once at startup
+  function setupAchievements() {
+    const events = new Set(Object.values(ACHIEVEMENTS).map(achievement => achievement.event));
+    events.forEach(type => {
+      onGameEvent(type, payload => checkAchievements(type, payload));
+    });
+  }
+
+  function meetsConditions(when, payload) {
+    return Object.entries(when).every(([field, range]) => {
+      const value = payload[field];
+      if (typeof value !== 'number') return false;
+      if (range.min !== undefined && value < range.min) return false;
+      if (range.max !== undefined && value > range.max) return false;
+      return true;
+    });
+  }
+
+  function checkAchievements(type, payload) {
+    // Daily challenge flights use borrowed upgrades; only purchases count around them
+    if (dailyChallenge && type !== 'purchase') return;
+    Object.values(ACHIEVEMENTS).forEach(achievement => {
+      if (achievement.event !== type || unlockedAchievements[achievement.id]) return;
+      if (meetsConditions(achievement.when, payload)) {
+        unlockAchievement(achievement);
       }
+    });
+  }
+
+  function unlockAchievement(achievement) {
+    unlockedAchievements[achievement.id] = Date.now();
+    coins += achievement.reward || 0;
+    saveGameData();
+    showToast(`🏅 ${achievement.name}` + (achievement.reward ? `  +${achievement.reward} coins` : ''));
+  }
+
+  // Progress after buying something, for 'purchase' achievements
+  function getPurchaseProgress() {
+    return {
+      vehiclesOwned: ownedVehicles.length,
+      allUpgradesMaxed: Object.keys(UPGRADES).every(key =>
+        getUpgradeLevel(key) >= UPGRADES[key].maxLevel) ? 1 : 0
+    };
+  }
+
+  // Toasts: short notices drawn over every screen (see renderToasts)
+  const TOAST_DURATION = 3; // seconds on screen
+  function showToast(text) {
+    toasts.push({ text, age: 0 });
+  }
+
+  // Profiles: a list of names in PROFILES_KEY, each with its own save. The
+  // first profile keeps the original key, so saves from before profiles load
+  // as that profile.
+  const PROFILES_KEY = 'lift-drag-thrust-grav:profiles';
+  const DEFAULT_PROFILE = { id: 'default', name: 'Player 1' };
+  const MAX_PROFILE_NAME = 16;
+
+  function getSaveKey(profileId) {
+    return profileId === DEFAULT_PROFILE.id ? SAVE_KEY : `${SAVE_KEY}:profile:${profileId}`;
+  }
+
+  function getActiveProfile() {
+    return profiles.find(profile => profile.id === activeProfileId);
+  }
+
+  function loadProfiles() {
+    profiles = [{ ...DEFAULT_PROFILE }];
+    activeProfileId = DEFAULT_PROFILE.id;
+    try {
+      const data = JSON.parse(localStorage.getItem(PROFILES_KEY));
+      if (!isPlainObject(data) || !Array.isArray(data.profiles)) return;
+      const valid = data.profiles.filter(profile =>
+        isPlainObject(profile) && typeof profile.id === 'string' && typeof profile.name === 'string');
+      if (valid.length === 0) return;
+      profiles = valid;
+      activeProfileId = valid.some(profile => profile.id === data.active) ? data.active : valid[0].id;
+    } catch (e) {
+      log.warn('Profile list could not be read; using the default profile');
     }
-    
-    if (gameState === 'flying' && upgrades.flightControl > 0 && playerBody) {
-      // Flight control
-      const controlForce = 2 + upgrades.controlPower;
-      
-      if (keys['ArrowUp']) {
-        playerBody.applyForceToCenter({ x: 0, y: controlForce });
-      }
-      if (keys['ArrowDown']) {
-        playerBody.applyForceToCenter({ x: 0, y: -controlForce });
-      }
+  }
+
+  function saveProfiles() {
+    try {
+      localStorage.setItem(PROFILES_KEY, JSON.stringify({ version: 1, active: activeProfileId, profiles }));
+    } catch (e) {
+      log.error('Failed to save profiles');
     }
   }
 
-  app.init({
-    backgroundAlpha: 0,
-    resizeTo: appContainer,
-    antialias: true,
-  }).then(() => {
-    appContainer.appendChild(app.canvas);
-    const stage = app.stage;
+  function cleanProfileName(name) {
+    const trimmed = String(name || '').trim().slice(0, MAX_PROFILE_NAME);
+    if (!trimmed) throw new Error('Profile name cannot be empty');
+    return trimmed;
+  }
 
-    // Create layers
-    background = new PIXI.Container();
-    ground = new PIXI.Container();
-    const gameLayer = new PIXI.Container();
-    const uiLayer = new PIXI.Container();
-    
-    stage.addChild(background);
-    stage.addChild(ground);
-    stage.addChild(gameLayer);
-    stage.addChild(uiLayer);
+  // Make `id` the active profile and load its progress
+  function activateProfile(id) {
+    activeProfileId = id;
+    saveProfiles();
+    statusMessage = '';
+    loadGameData();
+    lastRecording = null;
+    lastRun = null;
+    dailyChallenge = null;
+    sim = createSimulation(createSeed(), getLoadout(), launchAngle);
+  }
 
-    // UI containers
-    const mainMenuContainer = new PIXI.Container();
-    const launchingContainer = new PIXI.Container();
-    const flyingContainer = new PIXI.Container();
-    const shopContainer = new PIXI.Container();
-    const gameOverContainer = new PIXI.Container();
-    
-    uiLayer.addChild(mainMenuContainer);
-    uiLayer.addChild(launchingContainer);
-    uiLayer.addChild(flyingContainer);
-    uiLayer.addChild(shopContainer);
-    uiLayer.addChild(gameOverContainer);
+  // Leave the current profile's progress saved and load another one
+  function switchProfile(id) {
+    saveGameData();
+    activateProfile(id);
+    updateUI();
+  }
 
-    // UI Styles
-    const buttonStyle = {
-      fill: 0xFFFFFF,
-      fontFamily: 'Segoe UI, Roboto, Arial, sans-serif',
+  function createProfile(name) {
+    const profile = { id: `p${Date.now().toString(36)}`, name: cleanProfileName(name) };
+    profiles.push(profile);
+    switchProfile(profile.id);
+  }
+
+  function renameProfile(id, name) {
+    profiles.find(profile => profile.id === id).name = cleanProfileName(name);
+    saveProfiles();
+    updateUI();
+  }
+
+  // Remove a profile and its save; the last profile can't be deleted
+  function deleteProfile(id) {
+    if (profiles.length <= 1) throw new Error('Cannot delete the only profile');
+    const key = getSaveKey(id);
+    try {
+      localStorage.removeItem(key);
+      localStorage.removeItem(`${key}:backup`);
+    } catch (e) {
+      log.error('Failed to remove profile data');
+    }
+    profiles = profiles.filter(profile => profile.id !== id);
+    if (id === activeProfileId) {
+      // Not switchProfile: that would write the deleted save back
+      activateProfile(profiles[0].id);
+    } else {
+      saveProfiles();
+    }
+    updateUI();
+  }
+
+  // Daily challenge: a course seeded from the UTC date, flown with the same
+  // loadout whatever the profile has unlocked, so scores compare fairly
+  const DAILY_LOADOUT = {
+    vehicle: DEFAULT_VEHICLE,
+    levels: { launcherPower: 3, launcherAngle: 1, flightControl: 1, controlPower: 2, engine: 1, fuelTank: 1 }
+  };
+
+  function getDailyKey(time = Date.now()) {
+    return new Date(time).toISOString().slice(0, 10);
+  }
+
+  // FNV-1a of the date key
+  function getDailySeed(dateKey) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < dateKey.length; i++) {
+      hash = Math.imul(hash ^ dateKey.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Upgrades the rules don't mention, or that the tree added later, stay at 0
+  function getDailyLoadout() {
+    const loadout = { vehicle: DAILY_LOADOUT.vehicle };
+    Object.keys(UPGRADES).forEach(key => {
+      loadout[key] = Math.min(DAILY_LOADOUT.levels[key] || 0, UPGRADES[key].maxLevel);
+    });
+    return loadout;
+  }
+
+  // Leaderboards keep each profile's best distance per board. Backends share a
+  // promise-based interface, so a remote one can stand in for the local store:
+  //   submitScore(board, entry) -> Promise<rank of the profile's best, from 1>
+  //   getScores(board, limit)   -> Promise<entries, best first>
+  // Entries are { profileId, name, distance, date }.
+  const LEADERBOARD_KEY = 'lift-drag-thrust-grav:leaderboard';
+  const ALL_TIME_BOARD = 'allTime'; // normal flights
+  const LEADERBOARD_SIZE = 10; // rows shown per board
+  const DAILY_BOARDS_KEPT = 30; // older days are dropped from local storage
+
+  function getDailyBoard(dateKey) {
+    return `daily:${dateKey}`;
+  }
+
+  function isLeaderboardEntry(entry) {
+    return isPlainObject(entry) && typeof entry.profileId === 'string' && typeof entry.name === 'string' &&
+      typeof entry.distance === 'number' && isFinite(entry.distance) && isCount(entry.date);
+  }
+
+  // Backend held in memory; `onChange` receives the boards after each submit
+  function createMemoryLeaderboard(boards = {}, onChange = () => {}) {
+    return {
+      submitScore(board, entry) {
+        const entries = boards[board] || (boards[board] = []);
+        const previous = entries.find(other => other.profileId === entry.profileId);
+        if (!previous) {
+          entries.push({ ...entry });
+        } else if (entry.distance > previous.distance) {
+          Object.assign(previous, entry);
+        }
+        entries.sort((a, b) => b.distance - a.distance);
+        onChange(boards);
+        return Promise.resolve(entries.findIndex(other => other.profileId === entry.profileId) + 1);
+      },
+      getScores(board, limit) {
+        return Promise.resolve((boards[board] || []).slice(0, limit).map(entry => ({ ...entry })));
+      }
+    };
+  }
+
+  // This device's leaderboard: the memory backend, persisted to localStorage
+  function createLocalLeaderboard(key) {
+    const boards = {};
+    try {
+      const data = JSON.parse(localStorage.getItem(key));
+      if (isPlainObject(data) && isPlainObject(data.boards)) {
+        Object.entries(data.boards).forEach(([board, entries]) => {
+          if (!Array.isArray(entries)) return;
+          boards[board] = entries.filter(isLeaderboardEntry).sort((a, b) => b.distance - a.distance);
+        });
+      }
+    } catch (e) {
+      log.warn('Leaderboard could not be read; starting empty');
+    }
+    return createMemoryLeaderboard(boards, () => {
+      // Date keys sort by date, so the oldest daily boards come first
+      const dailyBoards = Object.keys(boards).filter(board => board.startsWith('daily:')).sort();
+      dailyBoards.slice(0, -DAILY_BOARDS_KEPT).forEach(board => { delete boards[board]; });
+      try {
+        localStorage.setItem(key, JSON.stringify({ version: 1, boards }));
+      } catch (e) {
+        log.error('Failed to save leaderboard');
+      }
+    });
+  }
+
+  // Post a finished live flight: daily challenge runs go on that day's board,
+  // every other flight on the all-time board
+  function postScore(run) {
+    const profile = getActiveProfile();
+    const board = dailyChallenge ? getDailyBoard(dailyChallenge) : ALL_TIME_BOARD;
+    const isDaily = !!dailyChallenge;
+    leaderboard.submitScore(board, {
+      profileId: profile.id,
+      name: profile.name,
+      distance: run.distance,
+      date: run.date
+    }).then(rank => {
+      if (!isDaily) return;
+      statusMessage = `📅 Daily challenge rank: #${rank}`;
+      if (gameState === 'gameOver') updateUI();
+    }).catch(e => {
+      log.error('Failed to submit score:', e.message);
+    });
+  }
+
+  function getVehicleScopedLevels(levels) {
+    const scoped = {};
+    Object.keys(UPGRADES).forEach(key => {
+      if (UPGRADES[key].scope === 'vehicle') scoped[key] = levels[key] || 0;
+    });
+    return scoped;
+  }
+
+  // Current level of an upgrade, for the selected vehicle where it is per-vehicle
+  function getUpgradeLevel(key) {
+    if (UPGRADES[key].scope !== 'vehicle') return upgrades[key] || 0;
+    return (vehicleUpgrades[selectedVehicle] || {})[key] || 0;
+  }
+
+  function addUpgradeLevel(key) {
+    if (UPGRADES[key].scope !== 'vehicle') {
+      upgrades[key] = getUpgradeLevel(key) + 1;
+      return;
+    }
+    if (!vehicleUpgrades[selectedVehicle]) {
+      vehicleUpgrades[selectedVehicle] = getVehicleScopedLevels({});
+    }
+    vehicleUpgrades[selectedVehicle][key] = getUpgradeLevel(key) + 1;
+  }
+
+  // Everything a flight needs to know about the player's progress: the vehicle
+  // and the level of every upgrade as it applies to that vehicle
+  function getLoadout() {
+    const loadout = { vehicle: selectedVehicle };
+    Object.keys(UPGRADES).forEach(key => {
+      loadout[key] = getUpgradeLevel(key);
+    });
+    return loadout;
+  }
+
+  function fetchData(url) {
+    return fetch(url).then(response => {
+      if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+      return response.json();
+    });
+  }
+
+  // Fetch the upgrade tree and fill UPGRADES; the game can't start without it
+  function loadUpgradeTree() {
+    return fetchData(UPGRADES_URL)
+      .then(data => {
+        validateUpgradeTree(data);
+        data.upgrades.forEach(upgrade => {
+          UPGRADES[upgrade.id] = upgrade;
+        });
+        Object.keys(UPGRADES).forEach(key => {
+          if (UPGRADES[key].scope !== 'vehicle') upgrades[key] = 0;
+        });
+      });
+  }
+
+  // Catch typos in the data file up front rather than as NaN stats mid-flight
+  function validateUpgradeTree(data) {
+    if (!data || !Array.isArray(data.upgrades)) {
+      throw new Error('Upgrade tree has no upgrades list');
+    }
+    const ids = data.upgrades.map(upgrade => upgrade.id);
+    data.upgrades.forEach(upgrade => {
+      const where = `Upgrade "${upgrade.id}"`;
+      if (typeof upgrade.id !== 'string' || ids.indexOf(upgrade.id) !== ids.lastIndexOf(upgrade.id)) {
+        throw new Error(`${where} needs a unique id`);
+      }
+      if (!Number.isInteger(upgrade.maxLevel) || upgrade.maxLevel < 1) {
+        throw new Error(`${where} needs a maxLevel of at least 1`);
+      }
+      if (!upgrade.cost || typeof upgrade.cost.base !== 'number') {
+        throw new Error(`${where} needs a cost.base`);
+      }
+      (upgrade.requires || []).forEach(req => {
+        if (!ids.includes(req.id)) throw new Error(`${where} requires unknown upgrade "${req.id}"`);
+      });
+      (upgrade.modifiers || []).forEach(modifier => {
+        if (!STATS.hasOwnProperty(modifier.stat)) {
+          throw new Error(`${where} modifies unknown stat "${modifier.stat}"`);
+        }
+        if (!MODIFIER_OPS.includes(modifier.op)) {
+          throw new Error(`${where} uses unknown modifier op "${modifier.op}"`);
+        }
+      });
+    });
+  }
+
+  // Price of the next level. Growth steepens past the soft cap so late levels
+  // are a real investment.
+  function getUpgradeCost(upgrade, level) {
+    const cost = upgrade.cost;
+    const growth = cost.growth || DEFAULT_COST_GROWTH;
+    const softCap = cost.softCap !== undefined ? cost.softCap : Infinity;
+    const beyondCap = Math.max(0, level - softCap);
+    return Math.floor(cost.base *
+      Math.pow(growth, level - beyondCap) *
+      Math.pow(cost.softCapGrowth || growth, beyondCap));
+  }
+
+  // Total an 'add' modifier gives at `level`: an optional one-off `initial`
+  // bonus, plus `perLevel` shrinking by `falloff` for every level after the first
+  function getModifierAmount(modifier, level) {
+    if (level === 0) return 0;
+    const falloff = modifier.falloff !== undefined ? modifier.falloff : 1;
+    let amount = modifier.initial || 0;
+    for (let i = 0; i < level; i++) {
+      amount += modifier.perLevel * Math.pow(falloff, i);
+    }
+    return amount;
+  }
+
+  // Resolve a loadout into flight stats: base values, then every upgrade's
+  // modifiers by op, then the vehicle's multipliers
+  function getStats(loadout) {
+    const stats = {};
+    Object.keys(STATS).forEach(stat => {
+      stats[stat] = STATS[stat].base;
+    });
+    MODIFIER_OPS.forEach(op => {
+      Object.keys(UPGRADES).forEach(key => {
+        const level = loadout[key] || 0;
+        if (level === 0) return;
+        (UPGRADES[key].modifiers || []).forEach(modifier => {
+          if (modifier.op !== op) return;
+          if (op === 'set') {
+            stats[modifier.stat] = modifier.value;
+          } else {
+            stats[modifier.stat] += getModifierAmount(modifier, level);
+          }
+        });
+      });
+    });
+    const vehicle = VEHICLES[loadout.vehicle];
+    stats.controlAuthority *= vehicle.control;
+    stats.engineThrust *= vehicle.thrust;
+    return stats;
+  }
+
+  // Prerequisites of an upgrade the current selection doesn't meet yet
+  function getMissingRequirements(key) {
+    return (UPGRADES[key].requires || []).filter(req => getUpgradeLevel(req.id) < req.level);
+  }
+
+  // Seeded RNG (mulberry32): same seed, same sequence on every machine
+  function createRng(seed) {
+    let state = seed >>> 0;
+    return function () {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function createSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  // Stateless hash of (seed, n) to [0, 1), for lookups that must not depend on call order
+  function hashUnit(seed, n) {
+    let h = Math.imul((seed ^ Math.imul(n | 0, 0x27d4eb2d)) >>> 0, 0x165667b1);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+  }
+
+  // Smooth 1D value noise in [-1, 1]
+  function valueNoise(seed, x) {
+    const i = Math.floor(x);
+    const f = x - i;
+    const t = f * f * (3 - 2 * f);
+    const a = hashUnit(seed, i) * 2 - 1;
+    const b = hashUnit(seed, i + 1) * 2 - 1;
+    return a + (b - a) * t;
+  }
+
+  // Features placed in a chunk, derived only from the seed and chunk index.
+  // terrainHeight asks for them on every sample, so they are built once per
+  // chunk and kept for the current seed.
+  const chunkFeatureCache = { seed: null, chunks: new Map() }; // chunk index -> features
+  function getChunkFeatures(seed, index) {
+    if (chunkFeatureCache.seed !== seed) {
+      chunkFeatureCache.seed = seed;
+      chunkFeatureCache.chunks.clear();
+    }
+    let features = chunkFeatureCache.chunks.get(index);
+    if (!features) {
+      features = buildChunkFeatures(seed, index);
+      chunkFeatureCache.chunks.set(index, features);
+    }
+    return features;
+  }
+
+  function buildChunkFeatures(seed, index) {
+    const rng = createRng(hashUnit(seed, index) * 4294967296);
+    const features = { ramp: null, zone: null, pickups: [], hazard: null };
+    const chunkStart = index * TERRAIN.chunkWidth;
+    if (chunkStart < TERRAIN.padEnd) return features;
+    
+    // Ramps wait until the hills have faded in
+    if (rng() < TERRAIN.rampChance && chunkStart > TERRAIN.padEnd + TERRAIN.blend) {
+      const length = TERRAIN.rampLength[0] + rng() * (TERRAIN.rampLength[1] - TERRAIN.rampLength[0]);
+      const height = TERRAIN.rampHeight[0] + rng() * (TERRAIN.rampHeight[1] - TERRAIN.rampHeight[0]);
+      const room = TERRAIN.chunkWidth - length - TERRAIN.rampDrop - 8;
+      const start = chunkStart + 4 + rng() * room;
+      features.ramp = { start, length, height };
+    }
+    
+    if (rng() < AIR_ZONE_CHANCE) {
+      const type = pickWeighted(AIR_ZONES, rng());
+      const zone = AIR_ZONES[type];
+      const x = chunkStart + zone.width / 2 + rng() * (TERRAIN.chunkWidth - zone.width);
+      features.zone = { type, x, width: zone.width, height: zone.height, floor: zone.floor };
+    }
+    
+    // Pickups sit at a height above the ground, along typical flight paths
+    const addPickup = (type, x, height) => {
+      features.pickups.push({ id: `${index}:${features.pickups.length}`, type, x, height });
+    };
+    if (rng() < COIN_ARC_CHANCE) {
+      const startX = chunkStart + 4 + rng() * (TERRAIN.chunkWidth - 16);
+      const peak = 1.5 + rng() * 5;
+      for (let i = 0; i < COIN_ARC_COUNT; i++) {
+        const t = i / (COIN_ARC_COUNT - 1);
+        addPickup('coin', startX + i * 2, peak + 2 * (1 - (2 * t - 1) * (2 * t - 1)));
+      }
+    }
+    if (rng() < BOOST_RING_CHANCE) {
+      addPickup('boostRing', chunkStart + 4 + rng() * (TERRAIN.chunkWidth - 8), 2 + rng() * 6);
+    }
+    if (rng() < FUEL_CAN_CHANCE) {
+      addPickup('fuelCan', chunkStart + 4 + rng() * (TERRAIN.chunkWidth - 8), 1.5 + rng() * 4.5);
+    }
+    
+    if (rng() < HAZARD_CHANCE && chunkStart >= HAZARD_MIN_X) {
+      const type = pickWeighted(HAZARDS, rng());
+      const range = HAZARDS[type].height;
+      features.hazard = {
+        id: `${index}:hazard`,
+        type,
+        x: chunkStart + 8 + rng() * (TERRAIN.chunkWidth - 16),
+        height: range[0] + rng() * (range[1] - range[0])
+      };
+    }
+    return features;
+  }
+
+  // Key of a { key: { weight } } table, chosen by a roll in [0, 1)
+  function pickWeighted(table, roll) {
+    const keys = Object.keys(table);
+    const total = keys.reduce((sum, key) => sum + table[key].weight, 0);
+    let threshold = roll * total;
+    for (const key of keys) {
+      threshold -= table[key].weight;
+      if (threshold < 0) return key;
+    }
+    return keys[keys.length - 1];
+  }
+
+  // World-space centre of a pickup (features only store its height above the ground)
+  function getPickupPosition(seed, pickup) {
+    return { x: pickup.x, y: terrainHeight(seed, pickup.x) + pickup.height };
+  }
+
+  // World-space centre of one hazard part
+  function getHazardPartPosition(seed, hazard, part) {
+    return {
+      x: hazard.x + part.offset[0],
+      y: terrainHeight(seed, hazard.x) + hazard.height + part.offset[1]
+    };
+  }
+
+  // World-space rectangle of a chunk's air zone; its floor follows the ground at its centre
+  function getZoneBounds(seed, zone) {
+    const bottom = terrainHeight(seed, zone.x) + zone.floor;
+    return {
+      left: zone.x - zone.width / 2,
+      right: zone.x + zone.width / 2,
+      bottom,
+      top: bottom + zone.height
+    };
+  }
+
+  // Ground surface height at x; the same answer for physics, rendering and the camera
+  function terrainHeight(seed, x) {
+    let y = TERRAIN.baseY;
+    if (x <= TERRAIN.padEnd) return y;
+    
+    // Hills and the downhill trend fade in after the launch pad
+    const along = x - TERRAIN.padEnd;
+    const fade = Math.min(1, along / TERRAIN.blend);
+    let hills = TERRAIN.slope * along;
+    TERRAIN.hills.forEach((octave, i) => {
+      const octaveSeed = (seed + i * 0x9e3779b9) >>> 0;
+      hills += octave.amplitude * (valueNoise(octaveSeed, x / octave.wavelength) -
+        valueNoise(octaveSeed, TERRAIN.padEnd / octave.wavelength));
+    });
+    y += hills * fade * fade;
+    
+    // Ramp: linear run-up to a lip, then a short drop back to the hills
+    const ramp = getChunkFeatures(seed, Math.floor(x / TERRAIN.chunkWidth)).ramp;
+    if (ramp) {
+      const u = x - ramp.start;
+      if (u > 0 && u <= ramp.length) {
+        y += ramp.height * (u / ramp.length);
+      } else if (u > ramp.length && u < ramp.length + TERRAIN.rampDrop) {
+        y += ramp.height * (1 - (u - ramp.length) / TERRAIN.rampDrop);
+      }
+    }
+    return y;
+  }
+
+  // Profile vertices for one chunk, on the same grid the renderer samples
+  function getChunkVertices(seed, index) {
+    const vertices = [];
+    const start = index * TERRAIN.chunkWidth;
+    for (let x = start; x <= start + TERRAIN.chunkWidth; x += TERRAIN.step) {
+      vertices.push({ x, y: terrainHeight(seed, x) });
+    }
+    return vertices;
+  }
+
+  // Physics helpers
+  // A simulation owns its own planck world, so live play, replays and
+  // re-simulation never share state. `loadout` is the vehicle and upgrade
+  // levels the flight was started with (see getLoadout).
+  // `reuse` is an optional finished simulation with the same seed whose world
+  // and terrain the new one takes over (see releaseWorld)
+  function createSimulation(seed, loadout, angle, reuse) {
+    const stats = getStats(loadout);
+    if (reuse) releaseWorld(reuse);
+    const sim = {
+      seed,
+      rng: createRng(seed),
+      loadout,
+      stats,
+      vehicle: VEHICLES[loadout.vehicle],
+      world: reuse ? reuse.world : new planck.World({ x: 0, y: GRAVITY }),
+      playerBody: null,
+      terrainChunks: reuse ? reuse.terrainChunks : new Map(), // chunk index -> static chain body
+      contactListeners: null, // the world's begin/end-contact handlers, removed by releaseWorld
+      groundContacts: 0,
+      activeZones: [], // zone fixtures the player currently overlaps
+      wind: { x: 0, y: 0 }, // summed wind of the active zones
+      collectedPickups: new Set(), // pickup ids taken this flight
+      pendingPickups: [], // touched during the last world.step, applied after it
+      removedHazards: new Set(), // consumed hazard part ids
+      pendingHazards: [],
+      lastHazard: null, // { name, step } of the most recent hazard hit, for the HUD
+      crashedInto: null, // name of the hazard that ended the flight
+      pickupCoins: 0,
+      fuel: stats.fuelCapacity,
+      fuelCapacity: stats.fuelCapacity,
+      thrusting: false, // engine fired during the last step (for effects and the HUD)
+      aeroForces: null, // lift, drag and pitch torque of the last sub-step (for the debug overlay)
+      restSteps: 0,
+      airborneSteps: 0, // consecutive steps off the ground
+      trajectory: [], // x, y, angle every GHOST_SAMPLE_STEPS steps from launch
+      events: [], // { type, ... } raised during steps, emitted as game events after them
+      runStats: { peakAltitude: 0, topSpeed: 0, airSteps: 0, touchdowns: 0 },
+      launch: null,
+      steps: 0,
+      distance: 0,
+      ended: false,
+      previous: { x: 0, y: 2, angle }
+    };
+    
+    // Create ground around the launcher
+    updateTerrain(sim, 0);
+    
+    // Create player
+    createPlayer(sim, angle);
+    
+    // Track player/terrain contacts so landing can tell rolling from resting,
+    // and which air zones the player is inside. Destroying a chunk ends its contacts.
+    const beginContact = function(contact) {
+      const other = getPlayerContactFixture(sim, contact);
+      if (!other) return;
+      if (isGroundFixture(other)) {
+        // Touching down: how hard the player hit, along the contact normal
+        if (sim.groundContacts === 0 && sim.launch) {
+          const normal = contact.getWorldManifold(null).normal;
+          const vel = sim.playerBody.getLinearVelocity();
+          sim.events.push({ type: 'impact', speed: Math.abs(vel.x * normal.x + vel.y * normal.y) });
+        }
+        sim.groundContacts++;
+      } else if (isZoneFixture(other)) {
+        sim.activeZones.push(other);
+      } else if (isPickupFixture(other)) {
+        sim.pendingPickups.push(other);
+      } else if (isHazardFixture(other)) {
+        sim.pendingHazards.push(other);
+      }
+    };
+    const endContact = function(contact) {
+      const other = getPlayerContactFixture(sim, contact);
+      if (!other) return;
+      if (isGroundFixture(other)) {
+        sim.groundContacts = Math.max(0, sim.groundContacts - 1);
+      } else if (isZoneFixture(other)) {
+        sim.activeZones = sim.activeZones.filter(fixture => fixture !== other);
+      }
+    };
+    sim.world.on('begin-contact', beginContact);
+    sim.world.on('end-contact', endContact);
+    sim.contactListeners = { begin: beginContact, end: endContact };
+    
+    return sim;
+  }
+
+  // Detach a finished simulation from its world so another can fly in it: its
+  // listeners and player go, and chunks it took pickups or hazards from are
+  // dropped so updateTerrain builds them whole again
+  function releaseWorld(sim) {
+    sim.world.off('begin-contact', sim.contactListeners.begin);
+    sim.world.off('end-contact', sim.contactListeners.end);
+    sim.world.destroyBody(sim.playerBody);
+    [...sim.collectedPickups, ...sim.removedHazards].forEach(id => {
+      const index = parseInt(id, 10); // ids start with the chunk index
+      const body = sim.terrainChunks.get(index);
+      if (!body) return;
+      sim.world.destroyBody(body);
+      sim.terrainChunks.delete(index);
+    });
+  }
+
+  // The fixture the player is touching in `contact`, or null if the player isn't involved
+  function getPlayerContactFixture(sim, contact) {
+    const fixtureA = contact.getFixtureA();
+    const fixtureB = contact.getFixtureB();
+    if (fixtureA.getBody() === sim.playerBody) return fixtureB;
+    if (fixtureB.getBody() === sim.playerBody) return fixtureA;
+    return null;
+  }
+
+  function isTerrainFixture(fixture) {
+    const data = fixture.getUserData();
+    return !!data && data.kind === 'terrain';
+  }
+
+  function isZoneFixture(fixture) {
+    const data = fixture.getUserData();
+    return !!data && data.kind === 'zone';
+  }
+
+  // Anything the player can land and come to rest on
+  function isGroundFixture(fixture) {
+    const data = fixture.getUserData();
+    return isTerrainFixture(fixture) || (!!data && data.kind === 'hazard' && data.solid);
+  }
+
+  function isHazardFixture(fixture) {
+    const data = fixture.getUserData();
+    return !!data && data.kind === 'hazard' && !data.solid;
+  }
+
+  // Apply the outcome of every hazard sensor touched during the last step
+  function applyHazards(sim) {
+    const body = sim.playerBody;
+    sim.pendingHazards.forEach(fixture => {
+      const data = fixture.getUserData();
+      if (sim.removedHazards.has(data.id)) return;
+      const hazard = HAZARDS[data.type];
+      const part = hazard.parts[data.part];
+      const outcome = part.outcome || {};
+      const vel = body.getLinearVelocity();
+      
+      if (outcome.slow !== undefined) {
+        body.setLinearVelocity({ x: vel.x * outcome.slow, y: vel.y * outcome.slow });
+      }
+      if (outcome.bounce !== undefined) {
+        body.setLinearVelocity({ x: vel.x, y: Math.max(Math.abs(vel.y), outcome.bounce) });
+      }
+      if (outcome.crash) {
+        log.debug('Crashed into', hazard.name);
+        sim.crashedInto = hazard.name;
+        sim.ended = true;
+      }
+      sim.lastHazard = { name: hazard.name, step: sim.steps };
+      
+      if (part.consumed) {
+        sim.removedHazards.add(data.id);
+        fixture.getBody().destroyFixture(fixture);
+      }
+    });
+    sim.pendingHazards = [];
+  }
+
+  function isPickupFixture(fixture) {
+    const data = fixture.getUserData();
+    return !!data && data.kind === 'pickup';
+  }
+
+  // Apply pickups touched during the last step. Runs outside world.step,
+  // where fixtures can be destroyed safely.
+  function collectPickups(sim) {
+    const body = sim.playerBody;
+    sim.pendingPickups.forEach(fixture => {
+      const data = fixture.getUserData();
+      if (sim.collectedPickups.has(data.id)) return;
+      sim.collectedPickups.add(data.id);
+      
+      const pickup = PICKUPS[data.type];
+      sim.events.push({ type: 'pickup', pickup: data.type, coins: pickup.coins || 0 });
+      if (pickup.coins) {
+        sim.pickupCoins += pickup.coins;
+      }
+      if (pickup.boost) {
+        const vel = body.getLinearVelocity();
+        const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+        const dirX = speed > 0 ? vel.x / speed : Math.cos(body.getAngle());
+        const dirY = speed > 0 ? vel.y / speed : Math.sin(body.getAngle());
+        const impulse = pickup.boost * body.getMass();
+        body.applyLinearImpulse({ x: dirX * impulse, y: dirY * impulse }, body.getWorldCenter());
+      }
+      if (pickup.fuel) {
+        sim.fuel = Math.min(sim.fuelCapacity, sim.fuel + pickup.fuel);
+      }
+      fixture.getBody().destroyFixture(fixture);
+    });
+    sim.pendingPickups = [];
+  }
+
+  // Engine thrust along the heading; burns one unit of fuel per second
+  function applyThrust(sim, thrust, dt) {
+    const body = sim.playerBody;
+    const angle = body.getAngle();
+    body.applyForceToCenter({ x: Math.cos(angle) * thrust, y: Math.sin(angle) * thrust });
+    sim.fuel = Math.max(0, sim.fuel - dt);
+    sim.thrusting = true;
+  }
+
+  // Sum the wind of every zone the player is in, and push the player directly
+  function applyAirZones(sim) {
+    sim.wind.x = 0;
+    sim.wind.y = 0;
+    const body = sim.playerBody;
+    const mass = body.getMass();
+    sim.activeZones.forEach(fixture => {
+      const zone = AIR_ZONES[fixture.getUserData().type];
+      sim.wind.x += zone.wind.x;
+      sim.wind.y += zone.wind.y;
+      body.applyForceToCenter({ x: zone.push.x * mass, y: zone.push.y * mass });
+    });
+  }
+
+  // Stream terrain chunks around x: create those in range, destroy those behind
+  function updateTerrain(sim, x) {
+    const first = Math.floor((x - TERRAIN.behind) / TERRAIN.chunkWidth);
+    const last = Math.floor((x + TERRAIN.ahead) / TERRAIN.chunkWidth);
+    
+    sim.terrainChunks.forEach((body, index) => {
+      if (index < first || index > last) {
+        sim.world.destroyBody(body);
+        sim.terrainChunks.delete(index);
+      }
+    });
+    
+    for (let index = first; index <= last; index++) {
+      if (!sim.terrainChunks.has(index)) {
+        sim.terrainChunks.set(index, createTerrainChunk(sim, index));
+      }
+    }
+  }
+
+  function createTerrainChunk(sim, index) {
+    const body = sim.world.createBody({ type: 'static' });
+    const shape = planck.Chain(getChunkVertices(sim.seed, index), false);
+    
+    // Ghost vertices from the neighbouring chunks keep seams smooth
+    const start = index * TERRAIN.chunkWidth;
+    const end = start + TERRAIN.chunkWidth;
+    shape.setPrevVertex(planck.Vec2(start - TERRAIN.step, terrainHeight(sim.seed, start - TERRAIN.step)));
+    shape.setNextVertex(planck.Vec2(end + TERRAIN.step, terrainHeight(sim.seed, end + TERRAIN.step)));
+    
+    body.createFixture({
+      shape,
+      friction: TERRAIN.friction,
+      restitution: TERRAIN.restitution,
+      userData: { kind: 'terrain' }
+    });
+    
+    const features = getChunkFeatures(sim.seed, index);
+    const zone = features.zone;
+    if (zone) {
+      const bounds = getZoneBounds(sim.seed, zone);
+      body.createFixture({
+        shape: planck.Box(zone.width / 2, zone.height / 2,
+          planck.Vec2(zone.x, (bounds.bottom + bounds.top) / 2), 0),
+        isSensor: true,
+        userData: { kind: 'zone', type: zone.type }
+      });
+    }
+    
+    // Chunks can be rebuilt if the player drifts back; skip what was already taken
+    features.pickups.forEach(pickup => {
+      if (sim.collectedPickups.has(pickup.id)) return;
+      const position = getPickupPosition(sim.seed, pickup);
+      body.createFixture({
+        shape: planck.Circle(planck.Vec2(position.x, position.y), PICKUPS[pickup.type].radius),
+        isSensor: true,
+        userData: { kind: 'pickup', type: pickup.type, id: pickup.id }
+      });
+    });
+    
+    if (features.hazard) {
+      createHazardFixtures(sim, body, features.hazard);
+    }
+    return body;
+  }
+
+  function createHazardFixtures(sim, body, hazard) {
+    HAZARDS[hazard.type].parts.forEach((part, partIndex) => {
+      const id = `${hazard.id}:${partIndex}`;
+      if (part.visual || sim.removedHazards.has(id)) return;
+      const position = getHazardPartPosition(sim.seed, hazard, part);
+      const center = planck.Vec2(position.x, position.y);
+      const shape = part.circle ?
+        planck.Circle(center, part.circle) :
+        planck.Box(part.box[0], part.box[1], center, part.angle || 0);
+      body.createFixture({
+        shape,
+        isSensor: !part.solid,
+        friction: part.friction !== undefined ? part.friction : TERRAIN.friction,
+        restitution: part.restitution !== undefined ? part.restitution : TERRAIN.restitution,
+        userData: { kind: 'hazard', type: hazard.type, part: partIndex, id, solid: !!part.solid }
+      });
+    });
+  }
+
+  function createPlayer(sim, angle) {
+    const vehicle = sim.vehicle;
+    sim.playerBody = sim.world.createBody({
+      type: 'dynamic',
+      position: { x: 0, y: 2 },
+      angle,
+      angularDamping: vehicle.angularDamping,
+      bullet: true
+    });
+    
+    sim.playerBody.createFixture({
+      shape: vehicle.circle ? planck.Circle(vehicle.circle) : planck.Polygon(vehicle.polygon),
+      density: vehicle.density,
+      friction: vehicle.friction,
+      restitution: vehicle.restitution
+    });
+  }
+
+  // Fire the player off the launcher; `power` is the 0..1 charge
+  function launchSimulation(sim, power, angle) {
+    const body = sim.playerBody;
+    const speed = power * MAX_LAUNCH_POWER * sim.stats.launchPower;
+    const vx = Math.cos(angle) * speed;
+    const vy = Math.sin(angle) * speed;
+    
+    body.setTransform(body.getPosition(), angle);
+    body.setLinearVelocity({ x: vx, y: vy });
+    body.setAngularVelocity(0);
+    
+    sim.launch = { power, angle };
+    sim.previous.x = body.getPosition().x;
+    sim.previous.y = body.getPosition().y;
+    sim.previous.angle = angle;
+    recordTrajectory(sim);
+  }
+
+  // Sample the player's path for the ghost, to the centimetre
+  function recordTrajectory(sim) {
+    if (sim.steps % GHOST_SAMPLE_STEPS !== 0 || sim.trajectory.length >= MAX_GHOST_SAMPLES * 3) return;
+    const pos = sim.playerBody.getPosition();
+    const round = (n) => Math.round(n * 100) / 100;
+    sim.trajectory.push(round(pos.x), round(pos.y), round(sim.playerBody.getAngle()));
+  }
+
+  // Ghost transform `time` steps after launch, blended between samples
+  function getGhostState(time) {
+    if (!bestGhost) return null;
+    const points = bestGhost.points;
+    const last = points.length / 3 - 1;
+    const sample = Math.max(0, Math.min(last, time / GHOST_SAMPLE_STEPS));
+    const i = Math.floor(sample);
+    const j = Math.min(last, i + 1);
+    const t = sample - i;
+    const lerp = (a, b) => a + (b - a) * t;
+    return {
+      x: lerp(points[i * 3], points[j * 3]),
+      y: lerp(points[i * 3 + 1], points[j * 3 + 1]),
+      angle: points[i * 3 + 2] + wrapAngle(points[j * 3 + 2] - points[i * 3 + 2]) * t
+    };
+  }
+
+  // A scratch copy of `sim` launched with no inputs, flown through the same
+  // stepSimulation as the real flight (see advanceTrajectoryPreview). The
+  // previous prediction's scratch world is reused, terrain and all.
+  function createTrajectoryPreview(sim, power, angle, previous) {
+    const reuse = previous && previous.sim === sim ? previous.scratch : null;
+    const scratch = createSimulation(sim.seed, sim.loadout, angle, reuse);
+    launchSimulation(scratch, power, angle);
+    return { sim, key: `${power}:${angle}`, scratch, points: [], landing: null, done: false };
+  }
+
+  // Fly more steps until `deadline` (a performance.now() time), dropping a dot
+  // every PREVIEW_DOT_STEPS, and finish at the first touchdown
+  function advanceTrajectoryPreview(preview, deadline) {
+    const scratch = preview.scratch;
+    while (!preview.done && performance.now() < deadline) {
+      stepSimulation(scratch, 0);
+      const pos = scratch.playerBody.getPosition();
+      if (scratch.steps % PREVIEW_DOT_STEPS === 0) preview.points.push(pos.x, pos.y);
+      if (scratch.runStats.touchdowns > 0 || scratch.crashedInto) {
+        preview.landing = pos.x;
+      }
+      preview.done = preview.landing !== null || scratch.ended || scratch.steps >= PREVIEW_MAX_STEPS;
+    }
+  }
+
+  // Called every frame on the launching screen. A new power or angle only
+  // restarts the prediction once the pending one finishes, so while charging
+  // the arc trails the meter by a few frames instead of never catching up.
+  function updateTrajectoryPreview() {
+    if (gameState !== 'launching' || !sim || sim.stats.targeting < 1 || launchPower <= 0) return;
+    if (!pendingPreview || pendingPreview.done) {
+      const power = getLaunchPower();
+      const current = getTrajectoryPreview();
+      if (current && current.key === `${power}:${launchAngle}`) return;
+      pendingPreview = createTrajectoryPreview(sim, power, launchAngle, pendingPreview);
+    }
+    advanceTrajectoryPreview(pendingPreview, performance.now() + PREVIEW_FRAME_BUDGET_MS);
+    if (pendingPreview.done) trajectoryPreview = pendingPreview;
+  }
+
+  // The latest finished prediction for the flight on the launcher, if any
+  function getTrajectoryPreview() {
+    return trajectoryPreview && trajectoryPreview.sim === sim ? trajectoryPreview : null;
+  }
+
+  // A saved setting of the wrong type reads as the default
+  function getSetting(key) {
+    const value = settings[key];
+    return settings.hasOwnProperty(key) && typeof value === typeof DEFAULT_SETTINGS[key] ?
+      value : DEFAULT_SETTINGS[key];
+  }
+
+  function getUnits() {
+    return UNIT_SYSTEMS[getSetting('units')] || UNIT_SYSTEMS[DEFAULT_SETTINGS.units];
+  }
+
+  function getQuality() {
+    return QUALITY_LEVELS[getSetting('quality')] || QUALITY_LEVELS[DEFAULT_SETTINGS.quality];
+  }
+
+  // Sky colours and light level for the current time of day, before altitude
+  function getSkyColors() {
+    const time = getSetting('dayNight') ? timeOfDay : 0.5;
+    const next = SKY_KEYS.findIndex(key => key.time >= time);
+    const to = SKY_KEYS[Math.max(next, 1)];
+    const from = SKY_KEYS[Math.max(next, 1) - 1];
+    const t = (time - from.time) / (to.time - from.time);
+    return {
+      top: mixColor(from.top, to.top, t),
+      horizon: mixColor(from.horizon, to.horizon, t),
+      light: from.light + (to.light - from.light) * t
+    };
+  }
+
+  // Blend two 0xRRGGBB colours channel by channel
+  function mixColor(a, b, t) {
+    let color = 0;
+    for (let shift = 0; shift <= 16; shift += 8) {
+      const from = (a >> shift) & 0xff;
+      const to = (b >> shift) & 0xff;
+      color |= Math.round(from + (to - from) * t) << shift;
+    }
+    return color;
+  }
+
+  // 1234.5 -> '1234m' or '4050ft'
+  function formatDistance(meters, decimals = 0) {
+    const units = getUnits();
+    const value = meters * units.distance;
+    return (decimals ? value.toFixed(decimals) : Math.floor(value)) + units.distanceSuffix;
+  }
+
+  function formatSpeed(metersPerSecond) {
+    const units = getUnits();
+    return `${Math.floor(metersPerSecond * units.speed)} ${units.speedSuffix}`;
+  }
+
+  // New seed and fresh world for the next flight, then wait on the launcher
+  function prepareFlight() {
+    dailyChallenge = null;
+    timeOfDay = (timeOfDay + DAY_PER_FLIGHT) % 1;
+    sim = createSimulation(createSeed(), getLoadout(), launchAngle);
+    launchPower = 0;
+    powerSwing = 1;
+    isCharging = false;
+    gameState = 'launching';
+    updateUI();
+  }
+
+  // Another go at the same kind of flight: today's challenge again, or a new seed
+  function restartFlight() {
+    if (dailyChallenge) {
+      prepareDailyFlight();
+    } else {
+      prepareFlight();
+    }
+  }
+
+  // Freeze a flight: physics only steps while flying, so nothing else is needed
+  function pauseGame() {
+    if (gameState !== 'flying') return;
+    gameState = 'paused';
+    updateUI();
+  }
+
+  function resumeGame() {
+    if (gameState !== 'paused') return;
+    gameState = 'flying';
+    updateUI();
+  }
+
+  // Today's challenge: the date picks the course, the rules pick the loadout
+  function prepareDailyFlight() {
+    dailyChallenge = getDailyKey();
+    timeOfDay = (timeOfDay + DAY_PER_FLIGHT) % 1;
+    sim = createSimulation(getDailySeed(dailyChallenge), getDailyLoadout(), launchAngle);
+    launchPower = 0;
+    powerSwing = 1;
+    isCharging = false;
+    gameState = 'launching';
+    updateUI();
+  }
+
+  function launchPlayer() {
+    if (!sim) return;
+    
+    if (getSetting('timingLaunch')) {
+      showToast(isPerfectLaunch() ?
+        `🎯 Perfect launch! +${Math.round((PERFECT_LAUNCH_BONUS - 1) * 100)}% power` :
+        `Launched at ${Math.floor(launchPower * 100)}%`);
+    }
+    launchSimulation(sim, getLaunchPower(), launchAngle);
+    emitGameEvent('launch', { power: getLaunchPower(), perfect: isPerfectLaunch() ? 1 : 0 });
+    liveInputs = [];
+    physicsAccumulator = 0;
+    renderAlpha = 0;
+    
+    gameState = 'flying';
+    distance = 0;
+    updateUI();
+  }
+
+  function isPerfectLaunch() {
+    return getSetting('timingLaunch') && launchPower >= SWEET_SPOT.min && launchPower <= SWEET_SPOT.max;
+  }
+
+  // The meter reading with the timing bonus applied; this is what gets recorded
+  function getLaunchPower() {
+    return isPerfectLaunch() ? launchPower * PERFECT_LAUNCH_BONUS : launchPower;
+  }
+
+  // Advance the simulation by whole fixed steps; leftover time carries over
+  function updatePhysics(deltaTime) {
+    if ((gameState !== 'flying' && gameState !== 'replay') || !sim) return;
+    
+    physicsAccumulator += Math.min(deltaTime, MAX_FRAME_TIME);
+    let steps = 0;
+    const started = performance.now();
+    while (physicsAccumulator >= PHYSICS_DT && steps < MAX_STEPS_PER_FRAME) {
+      stepSimulation(sim, nextStepInput());
+      physicsAccumulator -= PHYSICS_DT;
+      steps++;
+      if (sim.ended) break;
+    }
+    physicsTime = { ms: performance.now() - started, steps };
+    
+    // Still behind after the step cap: drop the backlog instead of spiralling
+    if (steps === MAX_STEPS_PER_FRAME) {
+      physicsAccumulator = Math.min(physicsAccumulator, PHYSICS_DT);
+    }
+    renderAlpha = physicsAccumulator / PHYSICS_DT;
+    
+    if (gameState === 'flying') {
+      sim.events.forEach(event => emitGameEvent(event.type, event));
+    }
+    sim.events = [];
+    
+    if (gameState === 'flying') {
+      const pos = sim.playerBody.getPosition();
+      const vel = sim.playerBody.getLinearVelocity();
+      emitGameEvent('flightUpdate', {
+        distance: sim.distance,
+        altitude: pos.y - terrainHeight(sim.seed, pos.x),
+        speed: Math.sqrt(vel.x * vel.x + vel.y * vel.y),
+        airtime: sim.runStats.airSteps * PHYSICS_DT
+      });
+    }
+    
+    if (sim.ended) {
+      if (gameState === 'flying') {
+        endFlight();
+      } else {
+        endReplay();
+      }
+    }
+  }
+
+  // Input for the step about to run: recorded live, or read back from the replay
+  function nextStepInput() {
+    if (gameState === 'replay') {
+      return replay.inputs[sim.steps] || 0;
+    }
+    liveInputs.push(controlInput);
+    return controlInput;
+  }
+
+  // One fixed 1/60 s step; everything that affects the outcome happens here
+  function stepSimulation(sim, input) {
+    if (sim.ended) return;
+    const body = sim.playerBody;
+    
+    // Remember where the player was so rendering can interpolate
+    const prev = body.getPosition();
+    sim.previous.x = prev.x;
+    sim.previous.y = prev.y;
+    sim.previous.angle = body.getAngle();
+    
+    const pitch = ((input & INPUT_PITCH_UP) ? 1 : 0) - ((input & INPUT_PITCH_DOWN) ? 1 : 0);
+    const control = getControlAuthority(sim.stats) * pitch;
+    const thrust = sim.stats.engineThrust;
+    sim.thrusting = false;
+    
+    // Forces are cleared after every world.step, so reapply them per sub-step
+    const subDt = PHYSICS_DT / PHYSICS_SUBSTEPS;
+    for (let i = 0; i < PHYSICS_SUBSTEPS; i++) {
+      applyAirZones(sim);
+      sim.aeroForces = applyAerodynamics(body, sim.vehicle.aero, control, sim.wind);
+      if ((input & INPUT_THRUST) && thrust > 0 && sim.fuel > 0) {
+        applyThrust(sim, thrust, subDt);
+      }
+      sim.world.step(subDt);
+      collectPickups(sim);
+      applyHazards(sim);
+      if (sim.ended) break;
+    }
+    sim.steps++;
+    
+    // Update distance
+    const pos = body.getPosition();
+    sim.distance = Math.max(sim.distance, pos.x);
+    updateTerrain(sim, pos.x);
+    
+    // Landing doesn't end the flight: bouncing and sliding downhill still count.
+    // It ends once the player has been resting on the ground for a moment.
+    const vel = body.getLinearVelocity();
+    const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+    updateRunStats(sim, pos, speed);
+    recordTrajectory(sim);
+    if (sim.groundContacts > 0 && speed < REST_SPEED) {
+      sim.restSteps++;
+    } else {
+      sim.restSteps = 0;
+    }
+    if (sim.restSteps >= REST_STEPS) {
+      log.debug('Player came to rest. Distance achieved:', sim.distance);
+      sim.ended = true;
+    }
+    
+    // Safety nets: tunnelled through the ground, or a flight that never settles
+    if (pos.y < terrainHeight(sim.seed, pos.x) - 5 || sim.steps >= MAX_FLIGHT_STEPS) {
+      log.info('Ending flight early at', pos.x, pos.y);
+      sim.ended = true;
+    }
+  }
+
+  // Per-run statistics, sampled once per fixed step. A touchdown only counts as
+  // a bounce after a real hop, not contact flicker while rolling over the terrain.
+  function updateRunStats(sim, pos, speed) {
+    const run = sim.runStats;
+    run.peakAltitude = Math.max(run.peakAltitude, pos.y - terrainHeight(sim.seed, pos.x));
+    run.topSpeed = Math.max(run.topSpeed, speed);
+    if (sim.groundContacts === 0) {
+      run.airSteps++;
+      sim.airborneSteps++;
+      return;
+    }
+    if (sim.airborneSteps >= BOUNCE_MIN_AIR_STEPS) {
+      run.touchdowns++;
+    }
+    sim.airborneSteps = 0;
+  }
+
+  // Player transform blended between the last two physics steps
+  function getInterpolatedPlayerState() {
+    const pos = sim.playerBody.getPosition();
+    const angle = sim.playerBody.getAngle();
+    if (gameState !== 'flying' && gameState !== 'replay') {
+      return { x: pos.x, y: pos.y, angle };
+    }
+    const prev = sim.previous;
+    const t = renderAlpha;
+    return {
+      x: prev.x + (pos.x - prev.x) * t,
+      y: prev.y + (pos.y - prev.y) * t,
+      angle: prev.angle + wrapAngle(angle - prev.angle) * t
+    };
+  }
+
+  // Camera: eases towards a view a little ahead of the player, pulls out as
+  // altitude and speed rise, and shakes on hard landings. camera.x/y is the
+  // world pixel at the top-left of the screen; the world is drawn scaled by
+  // camera.zoom (see renderWorld).
+  function setupCamera() {
+    onGameEvent('impact', payload => {
+      if (payload.speed < SHAKE_MIN_SPEED) return;
+      camera.shake = Math.min(1, camera.shake + payload.speed / SHAKE_FULL_SPEED);
+    });
+  }
+
+  // Follow the player using the rendered position
+  function updateCamera(deltaTime) {
+    camera.shake = Math.max(0, camera.shake - SHAKE_DECAY * deltaTime);
+    if ((gameState !== 'flying' && gameState !== 'replay') || !sim) return;
+    const pos = getInterpolatedPlayerState();
+    const vel = sim.playerBody.getLinearVelocity();
+    const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+    const altitude = pos.y - terrainHeight(sim.seed, pos.x);
+    
+    // Zoom out far enough to keep the ground in view below a climbing player, and more with speed
+    const fitZoom = altitude > 0 ? app.renderer.height * 0.7 / (altitude * PHYSICS_SCALE) : 1;
+    const speedZoom = 1 / (1 + speed / ZOOM_SPEED);
+    const targetZoom = Math.max(MIN_ZOOM, Math.min(1, fitZoom, speedZoom));
+    
+    // Ease the view's centre and zoom; frame-rate independent
+    const centerX = camera.x + app.renderer.width / camera.zoom * 0.5;
+    const centerY = camera.y + app.renderer.height / camera.zoom * 0.5;
+    const zoom = camera.zoom + (targetZoom - camera.zoom) * (1 - Math.exp(-CAMERA_ZOOM_RATE * deltaTime));
+    
+    // Lead the player by where it's heading
+    const leadX = Math.max(-MAX_LOOK_AHEAD, Math.min(vel.x * LOOK_AHEAD_TIME, MAX_LOOK_AHEAD));
+    const leadY = Math.max(-MAX_LOOK_AHEAD, Math.min(vel.y * LOOK_AHEAD_TIME, MAX_LOOK_AHEAD));
+    const target = getCameraCenter(pos.x + leadX, pos.y + leadY, zoom);
+    const follow = 1 - Math.exp(-CAMERA_FOLLOW_RATE * deltaTime);
+    setCameraCenter(centerX + (target.x - centerX) * follow, centerY + (target.y - centerY) * follow, zoom);
+  }
+
+  // Snap to a point at full scale: the launcher and menus
+  function frameCamera(x, y) {
+    const center = getCameraCenter(x, y, 1);
+    setCameraCenter(center.x, center.y, 1);
+  }
+
+  // Centre (world px) of the view with the point at 30% width; the terrain
+  // under it at 70% height, moving up only when the point would otherwise be
+  // in the top 20%. The view never sinks below the terrain.
+  function getCameraCenter(x, y, zoom) {
+    const width = app.renderer.width / zoom;
+    const height = app.renderer.height / zoom;
+    const groundTop = -terrainHeight(sim.seed, x) * PHYSICS_SCALE - height * 0.7;
+    const top = Math.min(groundTop, -y * PHYSICS_SCALE - height * 0.2);
+    return { x: x * PHYSICS_SCALE + width * 0.2, y: top + height * 0.5 };
+  }
+
+  function setCameraCenter(x, y, zoom) {
+    camera.zoom = zoom;
+    camera.x = x - app.renderer.width / zoom * 0.5;
+    camera.y = y - app.renderer.height / zoom * 0.5;
+  }
+
+  // Random screen offset while shaking; squared so small knocks stay subtle
+  function getCameraShake() {
+    if (getSetting('reducedMotion') || camera.shake === 0) return { x: 0, y: 0 };
+    const amount = MAX_SHAKE * camera.shake * camera.shake;
+    return { x: (Math.random() * 2 - 1) * amount, y: (Math.random() * 2 - 1) * amount };
+  }
+
+  // Wrap an angle to [-PI, PI]
+  function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+  }
+
+  // CL(alpha): linear up to the stall angle, then blends down to flat-plate lift
+  function liftCoefficient(alpha, aero) {
+    const a = Math.abs(alpha);
+    const peak = aero.liftSlope * aero.stallAngle;
+    let cl;
+    if (a <= aero.stallAngle) {
+      cl = aero.liftSlope * a;
+    } else {
+      const t = Math.min(1, (a - aero.stallAngle) / aero.stallFalloff);
+      const postStall = aero.postStallLift * Math.abs(Math.sin(2 * a));
+      cl = peak * (1 - t) + postStall * t;
+    }
+    return Math.sign(alpha) * cl;
+  }
+
+  // CD(alpha): parasite + induced (k * CL^2) + form drag when broadside
+  function dragCoefficient(alpha, cl, aero) {
+    const sinAlpha = Math.sin(alpha);
+    return aero.zeroLiftDrag +
+      aero.inducedDrag * cl * cl +
+      aero.formDrag * sinAlpha * sinAlpha;
+  }
+
+  // Velocity relative to the surrounding air
+  function getAirVelocity(body, wind) {
+    const vel = body.getLinearVelocity();
+    return { x: vel.x - wind.x, y: vel.y - wind.y };
+  }
+
+  // Angle between the body heading and the airflow, positive = nose above the flight path
+  function getAngleOfAttack(body, wind = NO_WIND) {
+    const air = getAirVelocity(body, wind);
+    return wrapAngle(body.getAngle() - Math.atan2(air.y, air.x));
+  }
+
+  function isStalled(alpha, aero) {
+    return Math.abs(alpha) > aero.stallAngle;
+  }
+
+  // Pitch authority from a flight's stats; 0 until pitch control is unlocked
+  function getControlAuthority(stats) {
+    return stats.pitchControl ? stats.controlAuthority : 0;
+  }
+
+  // Lift and drag from angle of attack, plus weathervane and elevator pitch torque.
+  // `aero` is the vehicle's aero model; `control` shifts the trimmed angle of
+  // attack (positive = nose up); `wind` is the velocity of the surrounding air.
+  // Returns the lift and drag forces and the pitch torque, or null in still air.
+  function applyAerodynamics(body, aero, control, wind = NO_WIND) {
+    const vel = getAirVelocity(body, wind);
+    const airspeed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+    if (airspeed < MIN_AIRSPEED) return null;
+    
+    const alpha = getAngleOfAttack(body, wind);
+    const q = 0.5 * AIR_DENSITY * airspeed * airspeed;
+    const cl = liftCoefficient(alpha, aero);
+    const cd = dragCoefficient(alpha, cl, aero);
+    const lift = q * aero.wingArea * cl;
+    const drag = q * aero.wingArea * cd;
+    
+    // Drag opposes the airflow, lift is perpendicular to it
+    const ux = vel.x / airspeed;
+    const uy = vel.y / airspeed;
+    body.applyForceToCenter({
+      x: -drag * ux - lift * uy,
+      y: -drag * uy + lift * ux
+    });
+    
+    const trimAlpha = control * aero.elevatorAlpha;
+    const torque = -aero.pitchStability * q * (alpha - trimAlpha);
+    body.applyTorque(torque);
+    return {
+      lift: { x: -lift * uy, y: lift * ux },
+      drag: { x: -drag * ux, y: -drag * uy },
+      torque
+    };
+  }
+
+  function endFlight() {
+    distance = sim.distance;
+    lastCrash = sim.crashedInto;
+    lastRecording = createRecording(sim, liveInputs);
+    statusMessage = '';
+    // Daily challenge flights use borrowed upgrades, so they only pay for pickups
+    lastEarnings = {
+      distance: dailyChallenge ? 0 : Math.floor(distance * COINS_PER_METER),
+      pickups: sim.pickupCoins
+    };
+    coins += lastEarnings.distance + lastEarnings.pickups;
+    
+    // ...and don't set records
+    if (!dailyChallenge && distance > recordDistance) {
+      recordDistance = distance;
+      bestGhost = { distance, vehicle: sim.loadout.vehicle, points: sim.trajectory };
+    }
+    
+    lastRun = createRunSummary(sim, lastEarnings.distance + lastEarnings.pickups);
+    runHistory.push(lastRun);
+    if (runHistory.length > RUN_HISTORY_LIMIT) {
+      runHistory.splice(0, runHistory.length - RUN_HISTORY_LIMIT);
+    }
+    emitGameEvent('flightEnd', {
+      ...lastRun,
+      crashed: sim.crashedInto ? 1 : 0,
+      pickupCoins: sim.pickupCoins,
+      daily: dailyChallenge ? 1 : 0
+    });
+    postScore(lastRun);
+    
+    saveGameData();
+    gameState = 'gameOver';
+    updateUI();
+  }
+
+  // What the history screen keeps of a finished flight. The first touchdown is
+  // the landing, every one after it a bounce.
+  function createRunSummary(sim, coinsEarned) {
+    const run = sim.runStats;
+    return {
+      date: Date.now(),
+      seed: sim.seed,
+      vehicle: sim.loadout.vehicle,
+      distance: sim.distance,
+      peakAltitude: run.peakAltitude,
+      topSpeed: run.topSpeed,
+      airtime: run.airSteps * PHYSICS_DT,
+      bounces: Math.max(0, run.touchdowns - 1),
+      coins: coinsEarned
+    };
+  }
+
+  // Replay recording / playback
+  function createRecording(sim, inputs) {
+    return {
+      v: REPLAY_VERSION,
+      seed: sim.seed,
+      power: sim.launch.power,
+      angle: sim.launch.angle,
+      loadout: { ...sim.loadout },
+      inputs: encodeRunLength(inputs),
+      steps: sim.steps,
+      distance: sim.distance
+    };
+  }
+
+  // [0,0,0,1,1] -> [[0,3],[1,2]]; inputs rarely change, so this stays small
+  function encodeRunLength(values) {
+    const runs = [];
+    values.forEach(value => {
+      const last = runs[runs.length - 1];
+      if (last && last[0] === value) {
+        last[1]++;
+      } else {
+        runs.push([value, 1]);
+      }
+    });
+    return runs;
+  }
+
+  function decodeRunLength(runs) {
+    const values = [];
+    runs.forEach(([value, count]) => {
+      for (let i = 0; i < count; i++) values.push(value);
+    });
+    return values;
+  }
+
+  // Replay code: base64url of the recording's JSON, safe to paste or put in a URL
+  function encodeReplay(recording) {
+    return toBase64Url(JSON.stringify(recording));
+  }
+
+  // UTF-8 text <-> URL-safe base64, for codes that travel in links and clipboards
+  function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(code) {
+    const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  }
+
+  // Accepts a replay code, a URL containing #replay=<code>, or the raw JSON
+  function decodeReplay(text) {
+    let source = String(text || '').trim();
+    const hashIndex = source.indexOf('#replay=');
+    if (hashIndex >= 0) {
+      source = source.slice(hashIndex + '#replay='.length);
+    }
+    
+    let recording;
+    try {
+      if (source.startsWith('{')) {
+        recording = JSON.parse(source);
+      } else {
+        recording = JSON.parse(fromBase64Url(source));
+      }
+    } catch (e) {
+      throw new Error('Replay code could not be read');
+    }
+    
+    if (!recording || recording.v !== REPLAY_VERSION) {
+      throw new Error('Unsupported replay version');
+    }
+    const isNumber = (n) => typeof n === 'number' && isFinite(n);
+    const validRuns = Array.isArray(recording.inputs) && recording.inputs.every(run =>
+      Array.isArray(run) && Number.isInteger(run[0]) && Number.isInteger(run[1]) && run[1] > 0);
+    // Upgrades added after the replay was recorded count as level 0, and
+    // replays from before vehicles were flown in the dart
+    const validLoadout = recording.loadout && Object.keys(UPGRADES).every(key => {
+      if (recording.loadout[key] === undefined) recording.loadout[key] = 0;
+      return Number.isInteger(recording.loadout[key]) && recording.loadout[key] >= 0;
+    });
+    if (validLoadout && recording.loadout.vehicle === undefined) {
+      recording.loadout.vehicle = DEFAULT_VEHICLE;
+    }
+    if (validLoadout && !VEHICLES.hasOwnProperty(recording.loadout.vehicle)) {
+      throw new Error('Replay uses an unknown vehicle');
+    }
+    if (!Number.isInteger(recording.seed) || !isNumber(recording.power) ||
+        !isNumber(recording.angle) || !isNumber(recording.distance) ||
+        !Number.isInteger(recording.steps) || !validRuns || !validLoadout) {
+      throw new Error('Replay is missing data');
+    }
+    // Longer than any flight can be; the inputs are expanded step by step
+    const inputSteps = recording.inputs.reduce((total, run) => total + run[1], 0);
+    if (recording.steps > MAX_REPLAY_STEPS || inputSteps > MAX_REPLAY_STEPS) {
+      throw new Error('Replay is too long');
+    }
+    // A launch or loadout the game can't produce would still re-simulate cleanly
+    const inRange = (n, min, max) => n >= min && n <= max;
+    if (!inRange(recording.power, 0, PERFECT_LAUNCH_BONUS) ||
+        !inRange(recording.angle, MIN_LAUNCH_ANGLE, MAX_LAUNCH_ANGLE) ||
+        Object.keys(UPGRADES).some(key => recording.loadout[key] > UPGRADES[key].maxLevel)) {
+      throw new Error('Replay has an impossible launch or loadout');
+    }
+    return recording;
+  }
+
+  // Re-run a recording in a scratch world to check it lands where it claims.
+  // A long flight takes a while, so advanceVerification flies it in slices.
+  function createVerification(recording, inputs) {
+    const check = createSimulation(recording.seed, recording.loadout, recording.angle);
+    launchSimulation(check, recording.power, recording.angle);
+    return { recording, inputs, check, done: false, verified: false };
+  }
+
+  // Fly the check until `deadline` (a performance.now() time) or its end
+  function advanceVerification(verification, deadline) {
+    const { recording, inputs, check } = verification;
+    while (!verification.done && performance.now() < deadline) {
+      stepSimulation(check, inputs[check.steps] || 0);
+      verification.done = check.ended || check.steps >= MAX_REPLAY_STEPS;
+    }
+    if (verification.done) {
+      verification.verified = check.ended && check.steps === recording.steps &&
+        check.distance === recording.distance;
+    }
+  }
+
+  // Called every frame; verifies the replay being watched alongside playback
+  function updateReplayVerification() {
+    if (gameState !== 'replay' || replay.verification.done) return;
+    advanceVerification(replay.verification, performance.now() + REPLAY_VERIFY_BUDGET_MS);
+  }
+
+  // Play a recording back in the world view; returns to `returnState` when done
+  function startReplay(recording, returnState) {
+    const inputs = decodeRunLength(recording.inputs);
+    sim = createSimulation(recording.seed, recording.loadout, recording.angle);
+    launchSimulation(sim, recording.power, recording.angle);
+    frameCamera(0, 2);
+    replay = {
+      recording,
+      inputs,
+      verification: createVerification(recording, inputs),
+      returnState
+    };
+    statusMessage = '';
+    physicsAccumulator = 0;
+    renderAlpha = 0;
+    gameState = 'replay';
+    updateUI();
+  }
+
+  function endReplay() {
+    gameState = replay.returnState;
+    replay = null;
+    updateUI();
+  }
+
+  function getReplayUrl(recording) {
+    return `${location.href.split('#')[0]}#replay=${encodeReplay(recording)}`;
+  }
+
+  function exportReplay(recording) {
+    const url = getReplayUrl(recording);
+    const fallback = () => window.prompt('Copy this replay link:', url);
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url).then(() => {
+        statusMessage = 'Replay link copied to clipboard';
+        updateUI();
+      }, fallback);
+    } else {
+      fallback();
+    }
+  }
+
+  function importReplay(text, returnState) {
+    try {
+      startReplay(decodeReplay(text), returnState);
+    } catch (e) {
+      statusMessage = e.message;
+      updateUI();
+    }
+  }
+
+  // Input handling: the game reads actions, and the keyboard (rebindable in
+  // settings), on-screen touch/mouse controls and gamepads all feed them
+  const ACTIONS = {
+    launch: { label: 'Charge / launch', key: 'Space', sharesKeyWith: ['thrust'] },
+    pitchUp: { label: 'Pitch up / raise angle', key: 'ArrowUp' },
+    pitchDown: { label: 'Pitch down / lower angle', key: 'ArrowDown' },
+    thrust: { label: 'Engine thrust', key: 'Space', sharesKeyWith: ['launch'] },
+    pause: { label: 'Pause / stop replay', key: 'Escape', fixedKeys: ['KeyP'] }
+  };
+  // fixedKeys work alongside the binding and can't be changed. Launch only
+  // works on the launcher and thrust only in flight, so they can share a key.
+  // Escape cancels a rebind, so neither it nor DEBUG_KEY can be bound.
+  const RESERVED_KEYS = ['Escape', DEBUG_KEY];
+  // Standard gamepad layout: A, right trigger, d-pad, Start; the left stick pitches too
+  const GAMEPAD_BUTTONS = {
+    launch: [0],
+    pitchUp: [12],
+    pitchDown: [13],
+    thrust: [0, 7],
+    pause: [9]
+  };
+  const GAMEPAD_DEADZONE = 0.5;
+  
+  let keys = {};
+  let pointerActions = {}; // pointer id -> actions held by that pointer (see the touch controls)
+  let heldActions = {}; // action -> true, as of the last updateInput
+  let rebindingAction = null; // action waiting for a key on the settings screen
+  
+  // Saved bindings win over the ACTIONS defaults; anything malformed falls back
+  function getKeyBinding(action) {
+    const bindings = getSetting('keyBindings');
+    const code = isPlainObject(bindings) ? bindings[action] : undefined;
+    return typeof code === 'string' ? code : ACTIONS[action].key;
+  }
+  
+  // Bind `code` to `action`; actions already on that key swap to the action's
+  // old one. Returns why the key can't be used, or '' once bound.
+  function bindKey(action, code) {
+    const fixed = Object.keys(ACTIONS).find(other => (ACTIONS[other].fixedKeys || []).includes(code));
+    if (RESERVED_KEYS.includes(code) || fixed) {
+      return `${formatKey(code)} is reserved`;
+    }
+    const oldCode = getKeyBinding(action);
+    const conflicts = (a, b) => a !== b && !(ACTIONS[a].sharesKeyWith || []).includes(b);
+    const taken = Object.keys(ACTIONS).filter(other => conflicts(action, other) && getKeyBinding(other) === code);
+    // The old key may still be held by an action sharing it, which the
+    // swapped ones can't join
+    const blocked = taken.find(other => Object.keys(ACTIONS).some(third =>
+      third !== action && !taken.includes(third) && conflicts(other, third) && getKeyBinding(third) === oldCode));
+    if (blocked) {
+      return `${formatKey(code)} is taken by ${ACTIONS[blocked].label}`;
+    }
+    const bindings = getSetting('keyBindings');
+    settings.keyBindings = { ...(isPlainObject(bindings) ? bindings : {}), [action]: code };
+    taken.forEach(other => { settings.keyBindings[other] = oldCode; });
+    saveGameData();
+    return '';
+  }
+  
+  function resetKeyBindings() {
+    settings.keyBindings = {};
+    saveGameData();
+  }
+  
+  // 'KeyW' -> 'W', 'ArrowUp' -> '↑'
+  function formatKey(code) {
+    const names = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc' };
+    return names[code] || code.replace(/^(Key|Digit)/, '');
+  }
+  
+  // How on-screen hints name an action's key: 'SPACE', 'ESCAPE', '↑'
+  function getKeyLabel(action) {
+    return formatKey(getKeyBinding(action)).toUpperCase();
+  }
+
+  // Fill `{action}` placeholders (e.g. in upgrade descriptions) with the current key labels
+  function formatActionKeys(text) {
+    return text.replace(/\{(\w+)\}/g, (match, action) => ACTIONS.hasOwnProperty(action) ? getKeyLabel(action) : match);
+  }
+  
+  function setupInput() {
+    window.addEventListener('keydown', (e) => {
+      if (rebindingAction) {
+        e.preventDefault();
+        const error = e.code === 'Escape' ? '' : bindKey(rebindingAction, e.code);
+        if (error) {
+          showToast(error);
+          return;
+        }
+        rebindingAction = null;
+        updateUI();
+        return;
+      }
+      if (e.code === DEBUG_KEY && !e.repeat) {
+        debugOverlay = !debugOverlay;
+      }
+      keys[e.code] = true;
+      if (Object.keys(ACTIONS).some(action => getKeyBinding(action) === e.code)) {
+        e.preventDefault();
+      }
+    });
+    
+    window.addEventListener('keyup', (e) => {
+      keys[e.code] = false;
+    });
+    
+    // Leaving the tab pauses the flight; keys released meanwhile never send keyup
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) return;
+      keys = {};
+      pauseGame();
+    });
+  }
+  
+  // Every action held right now, from any device
+  function readActions() {
+    const held = {};
+    Object.entries(ACTIONS).forEach(([action, info]) => {
+      if (keys[getKeyBinding(action)] || (info.fixedKeys || []).some(code => keys[code])) {
+        held[action] = true;
+      }
+    });
+    Object.values(pointerActions).forEach(actions => {
+      actions.forEach(action => { held[action] = true; });
+    });
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    Array.from(gamepads).forEach(pad => {
+      if (!pad) return;
+      Object.entries(GAMEPAD_BUTTONS).forEach(([action, buttons]) => {
+        if (buttons.some(index => pad.buttons[index] && pad.buttons[index].pressed)) held[action] = true;
+      });
+      const stickY = pad.axes[1] || 0;
+      if (stickY < -GAMEPAD_DEADZONE) held.pitchUp = true;
+      if (stickY > GAMEPAD_DEADZONE) held.pitchDown = true;
+    });
+    return held;
+  }
+
+  function updateInput(deltaTime) {
+    const previous = heldActions;
+    heldActions = readActions();
+    const pressed = (action) => heldActions[action] && !previous[action];
+    const released = (action) => !heldActions[action] && previous[action];
+    
+    if (pressed('pause')) {
+      if (gameState === 'replay') {
+        endReplay();
+      } else if (gameState === 'flying') {
+        pauseGame();
+      } else if (gameState === 'paused') {
+        resumeGame();
+      }
+    }
+    
+    if (gameState === 'launching') {
+      // A press that started before this screen doesn't charge
+      if (pressed('launch')) {
+        isCharging = true;
+      } else if (released('launch') && isCharging) {
+        isCharging = false;
+        launchPlayer();
+      }
+    }
+    
+    if (gameState === 'launching') {
+      const timing = getSetting('timingLaunch');
+      
+      // Charge power, or swing the needle back and forth in timing mode
+      if (isCharging && timing) {
+        launchPower += powerSwing * POWER_SWING_RATE * deltaTime;
+        if (launchPower >= 1 || launchPower <= 0) {
+          launchPower = Math.max(0, Math.min(launchPower, 1));
+          powerSwing = -powerSwing;
+        }
+      } else if (isCharging && launchPower < 1) {
+        launchPower += POWER_CHARGE_RATE * deltaTime;
+        launchPower = Math.min(launchPower, 1);
+      }
+      
+      // Adjust angle if upgraded; in timing mode it sweeps by itself otherwise
+      if (sim.stats.angleControl) {
+        if (heldActions.pitchUp && launchAngle < MAX_LAUNCH_ANGLE) {
+          launchAngle += Math.PI * 0.5 * deltaTime;
+        }
+        if (heldActions.pitchDown && launchAngle > MIN_LAUNCH_ANGLE) {
+          launchAngle -= Math.PI * 0.5 * deltaTime;
+        }
+      } else if (timing && !isCharging) {
+        launchAngle += angleSwing * ANGLE_SWEEP_RATE * deltaTime;
+        if (launchAngle >= MAX_LAUNCH_ANGLE || launchAngle <= MIN_LAUNCH_ANGLE) {
+          launchAngle = Math.max(MIN_LAUNCH_ANGLE, Math.min(launchAngle, MAX_LAUNCH_ANGLE));
+          angleSwing = -angleSwing;
+        }
+      }
+      
+      // Keep the player's nose along the barrel
+      if (sim) {
+        sim.playerBody.setTransform(sim.playerBody.getPosition(), launchAngle);
+      }
+    }
+    
+    // Flight control: sampled into the recording by the next physics step
+    controlInput = 0;
+    if (gameState === 'flying' && sim.stats.pitchControl) {
+      if (heldActions.pitchUp) controlInput |= INPUT_PITCH_UP;
+      if (heldActions.pitchDown) controlInput |= INPUT_PITCH_DOWN;
+    }
+    if (gameState === 'flying' && sim.stats.engineThrust > 0 && heldActions.thrust) {
+      controlInput |= INPUT_THRUST;
+    }
+  }
+
+  // Audio: every sound is synthesized with WebAudio, so there is nothing to load.
+  // Browsers only allow sound after a gesture, so the context starts on the first input.
+  // Buses: effects and music each feed the master gain (see the volume settings).
+  const MUSIC_NOTES = [220, 261.63, 293.66, 329.63, 392, 440]; // A minor pentatonic
+  const MUSIC_NOTE_TIME = 0.8; // seconds between notes
+  const MIN_IMPACT_SPEED = 2; // m/s into the ground; softer touchdowns are silent
+  const HARD_IMPACT_SPEED = 20; // m/s for the loudest thud
+  let audio = null; // { context, master, music, sfx, noise, wind, hum, nextNote }
+
+  function setupAudio() {
+    // Capture phase, so the gesture that starts audio can already play its click
+    window.addEventListener('keydown', startAudio, true);
+    window.addEventListener('pointerdown', startAudio, true);
+    document.addEventListener('visibilitychange', () => {
+      if (!audio) return;
+      if (document.hidden) {
+        audio.context.suspend();
+      } else {
+        audio.context.resume();
+      }
+    });
+    
+    onGameEvent('launch', payload => playLaunchSound(payload.power));
+    onGameEvent('impact', payload => playImpactSound(payload.speed));
+    onGameEvent('pickup', payload => {
+      if (payload.coins) {
+        playCoinSound();
+      } else {
+        playTone(440, 0.2, { endFrequency: 1320, type: 'triangle', volume: 0.2 });
+      }
+    });
+    onGameEvent('purchase', () => playCoinSound());
+  }
+
+  function startAudio() {
+    if (audio) {
+      if (audio.context.state === 'suspended' && !document.hidden) audio.context.resume();
+      return;
+    }
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    
+    const context = new AudioContextClass();
+    const master = context.createGain();
+    master.connect(context.destination);
+    const music = context.createGain();
+    music.connect(master);
+    const sfx = context.createGain();
+    sfx.connect(master);
+    
+    // One second of white noise, shared by the wind and the noisy effects
+    const noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+    const samples = noise.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = Math.random() * 2 - 1;
+    }
+    
+    // Wind: looping noise through a band-pass; updateAudio follows the player's speed
+    const windSource = context.createBufferSource();
+    windSource.buffer = noise;
+    windSource.loop = true;
+    const windFilter = context.createBiquadFilter();
+    windFilter.type = 'bandpass';
+    windFilter.Q.value = 0.7;
+    const windGain = context.createGain();
+    windGain.gain.value = 0;
+    windSource.connect(windFilter).connect(windGain).connect(sfx);
+    windSource.start();
+    
+    // Launcher hum: a muffled sawtooth that rises with the charge
+    const humOscillator = context.createOscillator();
+    humOscillator.type = 'sawtooth';
+    const humFilter = context.createBiquadFilter();
+    humFilter.type = 'lowpass';
+    humFilter.frequency.value = 500;
+    const humGain = context.createGain();
+    humGain.gain.value = 0;
+    humOscillator.connect(humFilter).connect(humGain).connect(sfx);
+    humOscillator.start();
+    
+    audio = {
+      context, master, music, sfx, noise,
+      wind: { filter: windFilter, gain: windGain },
+      hum: { oscillator: humOscillator, gain: humGain },
+      nextNote: 0 // context time of the next music note
+    };
+  }
+
+  // Once per frame: bus volumes from settings, wind and hum from the game state, music
+  function updateAudio() {
+    if (!audio) return;
+    const now = audio.context.currentTime;
+    const glide = 0.05; // seconds to settle, so changes don't click
+    
+    audio.master.gain.setTargetAtTime(getSetting('volume'), now, glide);
+    audio.music.gain.setTargetAtTime(getSetting('musicVolume'), now, glide);
+    audio.sfx.gain.setTargetAtTime(getSetting('sfxVolume'), now, glide);
+    
+    // Wind gets louder and brighter with speed
+    let speed = 0;
+    if ((gameState === 'flying' || gameState === 'replay') && sim) {
+      const vel = sim.playerBody.getLinearVelocity();
+      speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+    }
+    const rush = Math.min(speed / 40, 1);
+    audio.wind.gain.gain.setTargetAtTime(rush * rush * 0.5, now, glide);
+    audio.wind.filter.frequency.setTargetAtTime(300 + speed * 40, now, glide);
+    
+    const charging = gameState === 'launching' && isCharging;
+    audio.hum.gain.gain.setTargetAtTime(charging ? 0.12 : 0, now, glide);
+    audio.hum.oscillator.frequency.setTargetAtTime(50 + launchPower * 150, now, glide);
+    
+    // Music: a slow random walk over the pentatonic scale, scheduled just ahead
+    if (audio.nextNote < now) {
+      audio.nextNote = now;
+    }
+    while (audio.nextNote < now + 0.1) {
+      const note = MUSIC_NOTES[Math.floor(Math.random() * MUSIC_NOTES.length)];
+      playTone(note, MUSIC_NOTE_TIME * 2, {
+        type: 'triangle', volume: 0.08, delay: audio.nextNote - now, bus: audio.music
+      });
+      audio.nextNote += MUSIC_NOTE_TIME;
+    }
+  }
+
+  // An enveloped tone gliding from `frequency` to options.endFrequency, on the effects bus by default
+  function playTone(frequency, duration, options = {}) {
+    if (!audio) return;
+    const start = audio.context.currentTime + (options.delay || 0);
+    const oscillator = audio.context.createOscillator();
+    oscillator.type = options.type || 'sine';
+    oscillator.frequency.setValueAtTime(frequency, start);
+    oscillator.frequency.exponentialRampToValueAtTime(options.endFrequency || frequency, start + duration);
+    const gain = audio.context.createGain();
+    gain.gain.setValueAtTime(options.volume || 0.3, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+    oscillator.connect(gain).connect(options.bus || audio.sfx);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+  }
+
+  // A burst of low-passed noise fading over `duration`
+  function playNoise(duration, volume, frequency) {
+    if (!audio) return;
+    const start = audio.context.currentTime;
+    const source = audio.context.createBufferSource();
+    source.buffer = audio.noise;
+    const filter = audio.context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = frequency;
+    const gain = audio.context.createGain();
+    gain.gain.setValueAtTime(volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+    source.connect(filter).connect(gain).connect(audio.sfx);
+    source.start(start);
+    source.stop(start + duration);
+  }
+
+  function playLaunchSound(power) {
+    playNoise(0.8, 0.3 + power * 0.5, 400 + power * 800);
+    playTone(120, 0.6, { endFrequency: 35, volume: 0.3 + power * 0.4 });
+  }
+
+  function playImpactSound(speed) {
+    if (speed < MIN_IMPACT_SPEED) return;
+    const strength = Math.min(speed / HARD_IMPACT_SPEED, 1);
+    playNoise(0.1 + strength * 0.3, 0.15 + strength * 0.6, 150 + strength * 350);
+    playTone(90, 0.3, { endFrequency: 40, volume: 0.1 + strength * 0.4 });
+  }
+
+  function playCoinSound() {
+    playTone(988, 0.1, { type: 'square', volume: 0.08 });
+    playTone(1319, 0.3, { type: 'square', volume: 0.08, delay: 0.08 });
+  }
+
+  function playClickSound() {
+    playTone(660, 0.05, { type: 'triangle', volume: 0.15 });
+  }
+
+  // The renderer and the upgrade tree load in parallel; nothing starts without both
+  Promise.all([
+    app.init({
+      backgroundAlpha: 0,
+      resizeTo: appContainer,
+      antialias: true,
+    }),
+    loadUpgradeTree(),
+    loadAchievements()
+  ]).then(() => {
+    appContainer.appendChild(app.canvas);
+    const stage = app.stage;
+
+    // Create layers
+    background = new PIXI.Container();
+    ground = new PIXI.Container();
+    const gameLayer = new PIXI.Container();
+    const uiLayer = new PIXI.Container();
+    
+    stage.addChild(background);
+    stage.addChild(ground);
+    stage.addChild(gameLayer);
+    stage.addChild(uiLayer);
+    
+    // Every button click ticks; buttons are the texts with a pointer cursor
+    uiLayer.on('pointerdown', (event) => {
+      if (event.target && event.target.cursor === 'pointer') playClickSound();
+    });
+
+    // UI containers
+    const mainMenuContainer = new PIXI.Container();
+    const launchingContainer = new PIXI.Container();
+    const flyingContainer = new PIXI.Container();
+    const shopContainer = new PIXI.Container();
+    const garageContainer = new PIXI.Container();
+    const historyContainer = new PIXI.Container();
+    const achievementsContainer = new PIXI.Container();
+    const leaderboardContainer = new PIXI.Container();
+    const settingsContainer = new PIXI.Container();
+    const pausedContainer = new PIXI.Container();
+    const touchControlsContainer = new PIXI.Container(); // over the launching and flying screens
+    const toastContainer = new PIXI.Container(); // over every screen
+    const gameOverContainer = new PIXI.Container();
+    
+    uiLayer.addChild(mainMenuContainer);
+    uiLayer.addChild(launchingContainer);
+    uiLayer.addChild(flyingContainer);
+    uiLayer.addChild(shopContainer);
+    uiLayer.addChild(garageContainer);
+    uiLayer.addChild(historyContainer);
+    uiLayer.addChild(achievementsContainer);
+    uiLayer.addChild(leaderboardContainer);
+    uiLayer.addChild(settingsContainer);
+    uiLayer.addChild(pausedContainer);
+    uiLayer.addChild(touchControlsContainer);
+    uiLayer.addChild(toastContainer);
+    uiLayer.addChild(gameOverContainer);
+
+    // UI Styles
+    const buttonStyle = {
+      fill: 0xFFFFFF,
+      fontFamily: 'Segoe UI, Roboto, Arial, sans-serif',
       fontSize: 24,
       fontWeight: '600',
     };
@@ -375,51 +2978,768 @@
       dropShadowDistance: 1,
     };
 
-    // Create main menu
-    function createMainMenu() {
-      mainMenuContainer.removeChildren();
+    // Screens are rebuilt when they change; destroy the old objects so their
+    // textures are freed, not just detached
+    function clearScreen(container) {
+      container.removeChildren().forEach(child => child.destroy());
+    }
+
+    // Create main menu
+    function createMainMenu() {
+      clearScreen(mainMenuContainer);
+      
+      const title = new PIXI.Text({
+        text: 'lift-drag-thrust-grav',
+        style: titleStyle,
+      });
+      title.anchor.set(0.5);
+      title.x = app.renderer.width * 0.5;
+      title.y = app.renderer.height * 0.25;
+      mainMenuContainer.addChild(title);
+
+      // Profile picker: cycle with the arrows, manage with the buttons below
+      const profileIndex = profiles.findIndex(profile => profile.id === activeProfileId);
+      const profileText = new PIXI.Text({
+        text: `👤 ${getActiveProfile().name}`,
+        style: { ...textStyle, fontSize: 20 },
+      });
+      profileText.anchor.set(0.5);
+      profileText.x = app.renderer.width * 0.5;
+      profileText.y = app.renderer.height * 0.08;
+      mainMenuContainer.addChild(profileText);
+
+      if (profiles.length > 1) {
+        [['◀', -1], ['▶', 1]].forEach(([label, direction]) => {
+          const arrow = new PIXI.Text({
+            text: label,
+            style: { ...buttonStyle, fontSize: 20 },
+          });
+          arrow.anchor.set(0.5);
+          arrow.x = app.renderer.width * 0.5 + direction * 140;
+          arrow.y = app.renderer.height * 0.08;
+          arrow.interactive = true;
+          arrow.cursor = 'pointer';
+          arrow.on('pointerdown', () => {
+            const next = (profileIndex + direction + profiles.length) % profiles.length;
+            switchProfile(profiles[next].id);
+          });
+          mainMenuContainer.addChild(arrow);
+        });
+      }
+
+      const profileActions = [
+        ['NEW', () => {
+          const name = window.prompt('Name for the new profile:');
+          if (name !== null) createProfile(name);
+        }],
+        ['RENAME', () => {
+          const name = window.prompt('New name for this profile:', getActiveProfile().name);
+          if (name !== null) renameProfile(activeProfileId, name);
+        }],
+        ['DELETE', () => {
+          if (window.confirm(`Delete ${getActiveProfile().name} and all of its progress?`)) {
+            deleteProfile(activeProfileId);
+          }
+        }]
+      ];
+      profileActions.forEach(([label, action], index) => {
+        const actionButton = new PIXI.Text({
+          text: label,
+          style: { ...buttonStyle, fontSize: 14 },
+        });
+        actionButton.anchor.set(0.5);
+        actionButton.x = app.renderer.width * (0.42 + index * 0.08);
+        actionButton.y = app.renderer.height * 0.14;
+        actionButton.interactive = true;
+        actionButton.cursor = 'pointer';
+        actionButton.on('pointerdown', () => {
+          try {
+            action();
+          } catch (e) {
+            statusMessage = e.message;
+            updateUI();
+          }
+        });
+        mainMenuContainer.addChild(actionButton);
+      });
+
+      const startButton = new PIXI.Text({
+        text: 'START FLIGHT',
+        style: buttonStyle,
+      });
+      startButton.anchor.set(0.5);
+      startButton.x = app.renderer.width * 0.4;
+      startButton.y = app.renderer.height * 0.45;
+      startButton.interactive = true;
+      startButton.cursor = 'pointer';
+      startButton.on('pointerdown', () => {
+        prepareFlight();
+      });
+      mainMenuContainer.addChild(startButton);
+
+      const dailyButton = new PIXI.Text({
+        text: '📅 DAILY CHALLENGE',
+        style: { ...buttonStyle, fill: 0xfbbf24 },
+      });
+      dailyButton.anchor.set(0.5);
+      dailyButton.x = app.renderer.width * 0.62;
+      dailyButton.y = app.renderer.height * 0.45;
+      dailyButton.interactive = true;
+      dailyButton.cursor = 'pointer';
+      dailyButton.on('pointerdown', () => {
+        prepareDailyFlight();
+      });
+      mainMenuContainer.addChild(dailyButton);
+
+      const shopButton = new PIXI.Text({
+        text: 'SHOP',
+        style: buttonStyle,
+      });
+      shopButton.anchor.set(0.5);
+      shopButton.x = app.renderer.width * 0.38;
+      shopButton.y = app.renderer.height * 0.55;
+      shopButton.interactive = true;
+      shopButton.cursor = 'pointer';
+      shopButton.on('pointerdown', () => {
+        gameState = 'shop';
+        updateUI();
+      });
+      mainMenuContainer.addChild(shopButton);
+
+      const garageButton = new PIXI.Text({
+        text: 'GARAGE',
+        style: buttonStyle,
+      });
+      garageButton.anchor.set(0.5);
+      garageButton.x = app.renderer.width * 0.5;
+      garageButton.y = app.renderer.height * 0.55;
+      garageButton.interactive = true;
+      garageButton.cursor = 'pointer';
+      garageButton.on('pointerdown', () => {
+        gameState = 'garage';
+        updateUI();
+      });
+      mainMenuContainer.addChild(garageButton);
+
+      const historyButton = new PIXI.Text({
+        text: 'HISTORY',
+        style: buttonStyle,
+      });
+      historyButton.anchor.set(0.5);
+      historyButton.x = app.renderer.width * 0.62;
+      historyButton.y = app.renderer.height * 0.55;
+      historyButton.interactive = true;
+      historyButton.cursor = 'pointer';
+      historyButton.on('pointerdown', () => {
+        gameState = 'history';
+        updateUI();
+      });
+      mainMenuContainer.addChild(historyButton);
+
+      const importButton = new PIXI.Text({
+        text: 'IMPORT REPLAY',
+        style: { ...buttonStyle, fontSize: 18 },
+      });
+      importButton.anchor.set(0.5);
+      importButton.x = app.renderer.width * 0.3;
+      importButton.y = app.renderer.height * 0.62;
+      importButton.interactive = true;
+      importButton.cursor = 'pointer';
+      importButton.on('pointerdown', () => {
+        const text = window.prompt('Paste a replay link or code:');
+        if (text) importReplay(text, 'mainMenu');
+      });
+      mainMenuContainer.addChild(importButton);
+
+      const exportSaveButton = new PIXI.Text({
+        text: 'EXPORT SAVE',
+        style: { ...buttonStyle, fontSize: 18 },
+      });
+      exportSaveButton.anchor.set(0.5);
+      exportSaveButton.x = app.renderer.width * 0.5;
+      exportSaveButton.y = app.renderer.height * 0.62;
+      exportSaveButton.interactive = true;
+      exportSaveButton.cursor = 'pointer';
+      exportSaveButton.on('pointerdown', () => {
+        exportSave();
+      });
+      mainMenuContainer.addChild(exportSaveButton);
+
+      const importSaveButton = new PIXI.Text({
+        text: 'IMPORT SAVE',
+        style: { ...buttonStyle, fontSize: 18 },
+      });
+      importSaveButton.anchor.set(0.5);
+      importSaveButton.x = app.renderer.width * 0.7;
+      importSaveButton.y = app.renderer.height * 0.62;
+      importSaveButton.interactive = true;
+      importSaveButton.cursor = 'pointer';
+      importSaveButton.on('pointerdown', () => {
+        const text = window.prompt('Paste a save code, or leave empty to choose a save file:');
+        if (text === null) return;
+        if (text.trim()) {
+          importSave(text);
+        } else {
+          importSaveFile();
+        }
+      });
+      mainMenuContainer.addChild(importSaveButton);
+
+      const coinsText = new PIXI.Text({
+        text: `💰 Coins: ${coins}`,
+        style: { ...textStyle, fill: 0xFFD700 },
+      });
+      coinsText.anchor.set(0.5);
+      coinsText.x = app.renderer.width * 0.5;
+      coinsText.y = app.renderer.height * 0.7;
+      mainMenuContainer.addChild(coinsText);
+
+      const recordText = new PIXI.Text({
+        text: `🏆 Record: ${formatDistance(recordDistance)}`,
+        style: { ...textStyle, fill: 0x00FF00 },
+      });
+      recordText.anchor.set(0.5);
+      recordText.x = app.renderer.width * 0.5;
+      recordText.y = app.renderer.height * 0.76;
+      mainMenuContainer.addChild(recordText);
+
+      const unlockedCount = Object.keys(unlockedAchievements).length;
+      const achievementsButton = new PIXI.Text({
+        text: `🏅 Achievements ${unlockedCount}/${Object.keys(ACHIEVEMENTS).length}`,
+        style: { ...textStyle, fill: 0xfbbf24 },
+      });
+      achievementsButton.anchor.set(0.5);
+      achievementsButton.x = app.renderer.width * 0.38;
+      achievementsButton.y = app.renderer.height * 0.82;
+      achievementsButton.interactive = true;
+      achievementsButton.cursor = 'pointer';
+      achievementsButton.on('pointerdown', () => {
+        gameState = 'achievements';
+        updateUI();
+      });
+      mainMenuContainer.addChild(achievementsButton);
+
+      const leaderboardButton = new PIXI.Text({
+        text: '🏆 Leaderboard',
+        style: { ...textStyle, fill: 0xfbbf24 },
+      });
+      leaderboardButton.anchor.set(0.5);
+      leaderboardButton.x = app.renderer.width * 0.62;
+      leaderboardButton.y = app.renderer.height * 0.82;
+      leaderboardButton.interactive = true;
+      leaderboardButton.cursor = 'pointer';
+      leaderboardButton.on('pointerdown', () => {
+        gameState = 'leaderboard';
+        updateUI();
+      });
+      mainMenuContainer.addChild(leaderboardButton);
+
+      const settingsButton = new PIXI.Text({
+        text: '⚙️ SETTINGS',
+        style: { ...buttonStyle, fontSize: 18 },
+      });
+      settingsButton.anchor.set(0.5);
+      settingsButton.x = app.renderer.width * 0.9;
+      settingsButton.y = app.renderer.height * 0.08;
+      settingsButton.interactive = true;
+      settingsButton.cursor = 'pointer';
+      settingsButton.on('pointerdown', () => {
+        settingsReturnState = 'mainMenu';
+        gameState = 'settings';
+        updateUI();
+      });
+      mainMenuContainer.addChild(settingsButton);
+
+      if (statusMessage) {
+        const messageText = new PIXI.Text({
+          text: statusMessage,
+          style: { ...textStyle, fontSize: 14 },
+        });
+        messageText.anchor.set(0.5);
+        messageText.x = app.renderer.width * 0.5;
+        messageText.y = app.renderer.height * 0.9;
+        mainMenuContainer.addChild(messageText);
+      }
+    }
+
+    // Launching screen: built once, then updateLaunching refreshes it in place every frame
+    function createLaunchingHud() {
+      const instructions = new PIXI.Text({
+        text: '',
+        style: { ...textStyle, fontSize: 20 },
+      });
+      instructions.anchor.set(0.5);
+
+      const dailyText = new PIXI.Text({
+        text: '',
+        style: { ...textStyle, fontSize: 16, fill: 0xfbbf24 },
+      });
+      dailyText.anchor.set(0.5);
+
+      // Power meter, drawn from its top-left corner
+      const meter = new PIXI.Container();
+      const meterBackground = new PIXI.Graphics();
+      meterBackground.beginFill(0x1f2937);
+      meterBackground.drawRect(0, 0, 200, 24);
+      meterBackground.endFill();
+      
+      // Sweet spot of the timing meter
+      const sweetSpot = new PIXI.Graphics();
+      sweetSpot.beginFill(0xfbbf24, 0.6);
+      sweetSpot.drawRect(2 + 196 * SWEET_SPOT.min, 2, 196 * (SWEET_SPOT.max - SWEET_SPOT.min), 20);
+      sweetSpot.endFill();
+      
+      // Fill (scaled to the power, tinted green to red), or the timing needle
+      const powerFill = new PIXI.Graphics();
+      powerFill.beginFill(0xFFFFFF);
+      powerFill.drawRect(0, 0, 196, 20);
+      powerFill.endFill();
+      powerFill.position.set(2, 2);
+      const needle = new PIXI.Graphics();
+      needle.lineStyle(4, 0xFFFFFF);
+      needle.moveTo(0, -4);
+      needle.lineTo(0, 28);
+      
+      const meterBorder = new PIXI.Graphics();
+      meterBorder.lineStyle(2, 0xFFFFFF);
+      meterBorder.drawRect(0, 0, 200, 24);
+      meter.addChild(meterBackground, sweetSpot, powerFill, meterBorder, needle);
+      
+      // Power percentage text, flagged while the needle is in the sweet spot
+      const powerText = new PIXI.Text({
+        text: '',
+        style: { ...textStyle, fontSize: 16 },
+      });
+      powerText.anchor.set(0.5);
+
+      const angleText = new PIXI.Text({
+        text: '',
+        style: { ...textStyle, fontSize: 16 },
+      });
+      angleText.anchor.set(0.5);
+
+      const landingText = new PIXI.Text({
+        text: '',
+        style: { ...textStyle, fontSize: 16, fill: 0xfca5a5 },
+      });
+      landingText.anchor.set(0.5);
+
+      launchingContainer.addChild(instructions, dailyText, meter, powerText, angleText, landingText);
+      return { instructions, dailyText, meter, sweetSpot, powerFill, needle, powerText, angleText, landingText };
+    }
+    const launchingHud = createLaunchingHud();
+
+    function updateLaunching() {
+      const hud = launchingHud;
+      const timing = getSetting('timingLaunch');
+      const launchKey = getKeyLabel('launch');
+      const angleKeys = `${getKeyLabel('pitchUp')}/${getKeyLabel('pitchDown')}`;
+      let instructionText = sim.stats.angleControl ? 
+        `🚀 Hold ${launchKey} to charge power, ${angleKeys} to adjust angle` :
+        `🚀 Hold ${launchKey} to charge power, release to launch!`;
+      if (timing) {
+        instructionText = sim.stats.angleControl ?
+          `🎯 Hold ${launchKey} to swing the meter, release in the gold zone. ${angleKeys} adjust angle` :
+          `🎯 Press ${launchKey} to lock the angle, release in the gold zone to launch!`;
+      }
+      hud.instructions.text = instructionText;
+      hud.instructions.position.set(app.renderer.width * 0.5, 50);
+
+      hud.dailyText.visible = !!dailyChallenge;
+      if (dailyChallenge) {
+        hud.dailyText.text = `📅 Daily challenge ${dailyChallenge}: same course and loadout for everyone`;
+        hud.dailyText.position.set(app.renderer.width * 0.5, 80);
+      }
+
+      hud.meter.position.set(app.renderer.width * 0.5 - 100, app.renderer.height - 80);
+      hud.sweetSpot.visible = timing;
+      hud.powerFill.visible = !timing;
+      hud.powerFill.scale.x = launchPower;
+      hud.powerFill.tint = launchPower < 0.5 ? 0x22c55e : launchPower < 0.8 ? 0xf59e0b : 0xef4444;
+      hud.needle.visible = timing;
+      hud.needle.x = 2 + 196 * launchPower;
+      hud.needle.tint = isPerfectLaunch() ? 0xfef08a : 0xFFFFFF;
+      
+      hud.powerText.text = `${Math.floor(launchPower * 100)}%` + (isPerfectLaunch() ? '  PERFECT!' : '');
+      hud.powerText.tint = isPerfectLaunch() ? 0xfef08a : 0xFFFFFF;
+      hud.powerText.position.set(app.renderer.width * 0.5, app.renderer.height - 68);
+
+      // Angle display
+      hud.angleText.visible = !!(sim.stats.angleControl || timing);
+      hud.angleText.text = `📐 Angle: ${Math.round(launchAngle * 180 / Math.PI)}°`;
+      hud.angleText.position.set(app.renderer.width * 0.5, app.renderer.height - 120);
+
+      // Landing estimate from the targeting preview (see renderWorld)
+      const preview = getTrajectoryPreview();
+      hud.landingText.visible = !!(sim.stats.targeting >= 2 && preview && launchPower > 0);
+      if (hud.landingText.visible) {
+        hud.landingText.text = preview.landing !== null ?
+          `🎯 Estimated landing: ${formatDistance(preview.landing)}` :
+          '🎯 Estimated landing: beyond range';
+        hud.landingText.position.set(app.renderer.width * 0.5, app.renderer.height - 150);
+      }
+    }
+
+    // On-screen controls for touch and mouse. The buttons are drawn once the
+    // device has touch, except pause, which is always there; a press anywhere
+    // off them is the launch button, so a mouse can charge and launch, then
+    // fire the engine in flight.
+    const TOUCH_BUTTON_RADIUS = 38;
+    const TOUCH_BUTTONS = [
+      { id: 'pitchUp', actions: ['pitchUp'], label: '▲', x: 0.08, y: 0.6 },
+      { id: 'pitchDown', actions: ['pitchDown'], label: '▼', x: 0.08, y: 0.82 },
+      { id: 'launch', actions: ['launch', 'thrust'], label: '🚀', x: 0.9, y: 0.78 },
+      { id: 'pause', actions: ['pause'], label: '⏸', x: 0.95, y: 0.1, alwaysShown: true }
+    ];
+    let touchSeen = navigator.maxTouchPoints > 0;
+
+    // The buttons that do something right now, and are on screen
+    function getTouchButtons() {
+      const shown = TOUCH_BUTTONS.filter(button => touchSeen || button.alwaysShown);
+      if (gameState === 'replay') {
+        return shown.filter(button => button.id === 'pause');
+      }
+      const canPitch = gameState === 'launching' ? sim.stats.angleControl : sim.stats.pitchControl;
+      return shown.filter(button => {
+        if (button.id === 'pitchUp' || button.id === 'pitchDown') return canPitch;
+        if (button.id === 'pause') return gameState === 'flying';
+        return true;
+      });
+    }
+
+    function getTouchActions(x, y) {
+      const hit = getTouchButtons().find(button =>
+        Math.hypot(x - app.renderer.width * button.x, y - app.renderer.height * button.y) <= TOUCH_BUTTON_RADIUS * 1.3);
+      if (hit) return hit.actions;
+      return gameState === 'replay' ? [] : TOUCH_BUTTONS.find(button => button.id === 'launch').actions;
+    }
+
+    // One view per button, built once; updateTouchControls shows, places and
+    // highlights them in place
+    const touchButtonViews = TOUCH_BUTTONS.map(button => {
+      const view = new PIXI.Container();
+      // White disc whose alpha shows whether the button is held
+      const fill = new PIXI.Graphics();
+      fill.beginFill(0xFFFFFF);
+      fill.drawCircle(0, 0, TOUCH_BUTTON_RADIUS);
+      fill.endFill();
+      const outline = new PIXI.Graphics();
+      outline.lineStyle(2, 0xFFFFFF, 0.6);
+      outline.drawCircle(0, 0, TOUCH_BUTTON_RADIUS);
+      const label = new PIXI.Text({
+        text: button.label,
+        style: { ...buttonStyle, fontSize: 28 },
+      });
+      label.anchor.set(0.5);
+      view.addChild(fill, outline, label);
+      touchControlsContainer.addChild(view);
+      return { button, view, fill, label };
+    });
+
+    function updateTouchControls() {
+      const width = app.renderer.width;
+      const height = app.renderer.height;
+      const hitArea = touchControlsContainer.hitArea;
+      if (!hitArea || hitArea.width !== width || hitArea.height !== height) {
+        touchControlsContainer.hitArea = new PIXI.Rectangle(0, 0, width, height);
+      }
+
+      const shown = getTouchButtons();
+      const held = Object.values(pointerActions);
+      touchButtonViews.forEach(({ button, view, fill, label }) => {
+        view.visible = shown.includes(button);
+        if (!view.visible) return;
+        view.position.set(width * button.x, height * button.y);
+        fill.alpha = held.includes(button.actions) ? 0.4 : 0.15;
+        // In a replay the pause button stops it instead
+        const text = gameState === 'replay' && button.id === 'pause' ? '⏹' : button.label;
+        if (label.text !== text) label.text = text;
+      });
+    }
+
+    touchControlsContainer.interactive = true;
+    touchControlsContainer.on('pointerdown', (e) => {
+      if (e.pointerType === 'touch') touchSeen = true;
+      pointerActions[e.pointerId] = getTouchActions(e.global.x, e.global.y);
+      updateTouchControls();
+    });
+    ['pointerup', 'pointerupoutside', 'pointercancel'].forEach(type => {
+      touchControlsContainer.on(type, (e) => {
+        delete pointerActions[e.pointerId];
+        updateTouchControls();
+      });
+    });
+
+    // Flying HUD: built once, then updateFlying refreshes it in place every frame
+    function createFlyingHud() {
+      const hudText = (size, fill) => new PIXI.Text({
+        text: '',
+        style: { ...textStyle, fontSize: size, fill },
+      });
+      const distanceText = hudText(24, 0xFFD700);
+      distanceText.position.set(20, 20);
+      const speedText = hudText(18, 0x00FF00);
+      speedText.position.set(20, 50);
+      const controlText = hudText(14, 0xFFFFFF);
+      controlText.position.set(20, 80);
+      // White, tinted red while stalled
+      const alphaText = hudText(16, 0xFFFFFF);
+      alphaText.position.set(20, 110);
+      const zoneText = hudText(16, 0x93c5fd);
+      zoneText.position.set(20, 140);
+      const pickupText = hudText(18, 0xFFD700);
+      pickupText.position.set(20, 170);
+      const hazardText = hudText(18, 0xf87171);
+      hazardText.position.set(20, 200);
+
+      // Fuel gauge (top right), drawn from its top-left corner
+      const fuelGauge = new PIXI.Container();
+      const fuelLabel = hudText(14, 0xFFFFFF);
+      const fuelBackground = new PIXI.Graphics();
+      fuelBackground.beginFill(0x1f2937);
+      fuelBackground.drawRect(0, 24, 200, 14);
+      fuelBackground.endFill();
+      const fuelFill = new PIXI.Graphics();
+      fuelFill.beginFill(0xFFFFFF);
+      fuelFill.drawRect(0, 0, 196, 10);
+      fuelFill.endFill();
+      fuelFill.position.set(2, 26);
+      const fuelBorder = new PIXI.Graphics();
+      fuelBorder.lineStyle(2, 0xFFFFFF);
+      fuelBorder.drawRect(0, 24, 200, 14);
+      fuelGauge.addChild(fuelLabel, fuelBackground, fuelFill, fuelBorder);
+
+      // Replay banner, tinted red when the replay doesn't verify
+      const replayText = new PIXI.Text({
+        text: '',
+        style: { ...textStyle, fontSize: 18, align: 'center' },
+      });
+      replayText.anchor.set(0.5, 0);
+
+      flyingContainer.addChild(distanceText, speedText, controlText, alphaText, zoneText, pickupText,
+        hazardText, fuelGauge, replayText);
+      return {
+        distanceText, speedText, controlText, alphaText, zoneText, pickupText, hazardText,
+        fuelGauge, fuelLabel, fuelFill, replayText
+      };
+    }
+    const flyingHud = createFlyingHud();
+
+    function updateFlying() {
+      const hud = flyingHud;
+      hud.distanceText.text = `📏 Distance: ${formatDistance(sim.distance)}`;
+
+      // Speed indicator
+      const vel = sim.playerBody.getLinearVelocity();
+      const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+      hud.speedText.text = `⚡ Speed: ${formatSpeed(speed)}`;
+
+      // Angle of attack, with a stall warning past the threshold
+      const alpha = getAngleOfAttack(sim.playerBody, sim.wind);
+      const stalled = isStalled(alpha, sim.vehicle.aero);
+      hud.alphaText.text = stalled ?
+        `⚠️ STALL ${Math.round(alpha * 180 / Math.PI)}°` :
+        `✈️ AoA: ${Math.round(alpha * 180 / Math.PI)}°`;
+      hud.alphaText.tint = stalled ? 0xef4444 : 0xFFFFFF;
+
+      hud.controlText.visible = !!sim.stats.pitchControl;
+      hud.controlText.text = gameState === 'replay' ? '🎮 Replaying recorded inputs' : `🎮 ${getKeyLabel('pitchUp')}/${getKeyLabel('pitchDown')} to pitch up/down`;
+
+      hud.fuelGauge.visible = sim.stats.engineThrust > 0;
+      if (hud.fuelGauge.visible) {
+        const fuelRatio = sim.fuelCapacity > 0 ? sim.fuel / sim.fuelCapacity : 0;
+        hud.fuelGauge.position.set(app.renderer.width - 220, 20);
+        hud.fuelLabel.text = gameState === 'replay' ? '⛽ Fuel' : `⛽ Fuel (hold ${getKeyLabel('thrust')})`;
+        hud.fuelFill.scale.x = fuelRatio;
+        hud.fuelFill.tint = fuelRatio > 0.25 ? 0xf97316 : 0xef4444;
+      }
+
+      // Brief flash after hitting a hazard
+      hud.hazardText.visible = !!(sim.lastHazard && sim.steps - sim.lastHazard.step < HAZARD_FLASH_STEPS);
+      if (hud.hazardText.visible) {
+        hud.hazardText.text = `💥 ${sim.lastHazard.name}!`;
+      }
+
+      // Coins picked up so far this flight
+      hud.pickupText.visible = sim.pickupCoins > 0;
+      hud.pickupText.text = `💰 +${sim.pickupCoins}`;
+
+      // Air zones the player is currently inside
+      hud.zoneText.visible = sim.activeZones.length > 0;
+      if (hud.zoneText.visible) {
+        const names = sim.activeZones.map(fixture => AIR_ZONES[fixture.getUserData().type].name);
+        hud.zoneText.text = `🌬️ ${[...new Set(names)].join(' + ')}`;
+      }
+
+      // Replay banner
+      hud.replayText.visible = gameState === 'replay';
+      if (gameState === 'replay') {
+        const verification = replay.verification;
+        hud.replayText.text = `▶️ REPLAY · seed ${replay.recording.seed} · ` +
+          (!verification.done ? 'verifying…' :
+            verification.verified ? '✔ verified' : '✖ does not match recording') +
+          `\n${getKeyLabel('pause')} to stop`;
+        hud.replayText.tint = !verification.done || verification.verified ? 0xFFFFFF : 0xef4444;
+        hud.replayText.position.set(app.renderer.width * 0.5, 20);
+      }
+    }
+
+    // Create shop
+    function createShop() {
+      clearScreen(shopContainer);
       
       const title = new PIXI.Text({
-        text: 'lift-drag-thrust-grav',
-        style: titleStyle,
+        text: '🛒 SHOP',
+        style: { ...titleStyle, fontSize: 36 },
       });
       title.anchor.set(0.5);
       title.x = app.renderer.width * 0.5;
-      title.y = app.renderer.height * 0.25;
-      mainMenuContainer.addChild(title);
+      title.y = app.renderer.height * 0.1;
+      shopContainer.addChild(title);
 
-      const startButton = new PIXI.Text({
-        text: 'START FLIGHT',
-        style: buttonStyle,
+      const vehicleText = new PIXI.Text({
+        text: `Vehicle upgrades apply to the ${VEHICLES[selectedVehicle].name}`,
+        style: { ...textStyle, fontSize: 14, fill: 0x9CA3AF },
       });
-      startButton.anchor.set(0.5);
-      startButton.x = app.renderer.width * 0.5;
-      startButton.y = app.renderer.height * 0.45;
-      startButton.interactive = true;
-      startButton.cursor = 'pointer';
-      startButton.on('pointerdown', () => {
-        gameState = 'launching';
-        launchPower = 0;
-        flightEnded = false;
-        resetPlayerPosition();
-        updateUI();
+      vehicleText.anchor.set(0.5);
+      vehicleText.x = app.renderer.width * 0.5;
+      vehicleText.y = app.renderer.height * 0.16;
+      shopContainer.addChild(vehicleText);
+
+      const coinsText = new PIXI.Text({
+        text: `💰 Coins: ${coins}`,
+        style: { ...textStyle, fill: 0xFFD700 },
       });
-      mainMenuContainer.addChild(startButton);
+      coinsText.anchor.set(0.5);
+      coinsText.x = app.renderer.width * 0.5;
+      coinsText.y = app.renderer.height * 0.2;
+      shopContainer.addChild(coinsText);
 
-      const shopButton = new PIXI.Text({
-        text: 'SHOP',
+      // Upgrade tree: one column per tier, prerequisites linked by lines
+      const tiers = [...new Set(Object.values(UPGRADES).map(upgrade => upgrade.tier))].sort((a, b) => a - b);
+      const nodePositions = {};
+      const rows = {};
+      Object.entries(UPGRADES).forEach(([key, upgrade]) => {
+        const column = tiers.indexOf(upgrade.tier);
+        const row = rows[upgrade.tier] || 0;
+        rows[upgrade.tier] = row + 1;
+        nodePositions[key] = {
+          x: app.renderer.width * (column + 1) / (tiers.length + 1),
+          y: app.renderer.height * 0.32 + row * 110
+        };
+      });
+
+      const links = new PIXI.Graphics();
+      Object.entries(UPGRADES).forEach(([key, upgrade]) => {
+        (upgrade.requires || []).forEach(req => {
+          const from = nodePositions[req.id];
+          const to = nodePositions[key];
+          const met = getUpgradeLevel(req.id) >= req.level;
+          links.lineStyle(2, met ? 0x4ade80 : 0x4b5563, 0.8);
+          links.moveTo(from.x + 110, from.y);
+          links.lineTo(to.x - 110, to.y);
+        });
+      });
+      shopContainer.addChild(links);
+
+      Object.entries(UPGRADES).forEach(([key, upgrade]) => {
+        const level = getUpgradeLevel(key);
+        const missing = getMissingRequirements(key);
+        const maxed = level >= upgrade.maxLevel;
+        const cost = getUpgradeCost(upgrade, level);
+        const canBuy = !maxed && missing.length === 0 && coins >= cost;
+        
+        let displayText = upgrade.name;
+        if (upgrade.scope === 'vehicle') displayText += ` (${VEHICLES[selectedVehicle].name})`;
+        if (upgrade.maxLevel > 1) displayText += ` Lv.${level}/${upgrade.maxLevel}`;
+        if (upgrade.description) displayText += `\n${formatActionKeys(upgrade.description)}`;
+        
+        // Current vs next value of every stat this upgrade touches
+        const loadout = getLoadout();
+        const now = getStats({ ...loadout, [key]: level });
+        const next = getStats({ ...loadout, [key]: level + 1 });
+        (upgrade.modifiers || []).forEach(modifier => {
+          const stat = STATS[modifier.stat];
+          displayText += `\n${stat.label}: ${stat.format(now[modifier.stat])}`;
+          if (!maxed) displayText += ` → ${stat.format(next[modifier.stat])}`;
+        });
+        
+        if (maxed) {
+          displayText += '\nMAXED';
+        } else if (missing.length > 0) {
+          const needs = missing.map(req => {
+            const required = UPGRADES[req.id];
+            return required.maxLevel > 1 ? `${required.name} Lv.${req.level}` : required.name;
+          });
+          displayText += `\n🔒 Needs ${needs.join(', ')}`;
+        } else {
+          displayText += `\n${cost} coins`;
+        }
+        
+        let fill = 0xFFFFFF;
+        if (maxed) {
+          fill = 0x4ade80;
+        } else if (missing.length > 0) {
+          fill = 0x6b7280;
+        } else if (!canBuy) {
+          fill = 0x9CA3AF;
+        }
+        
+        const upgradeText = new PIXI.Text({
+          text: displayText,
+          style: {
+            ...textStyle,
+            fill,
+            fontSize: 14,
+            align: 'center'
+          },
+        });
+        upgradeText.anchor.set(0.5);
+        upgradeText.x = nodePositions[key].x;
+        upgradeText.y = nodePositions[key].y;
+        upgradeText.interactive = canBuy;
+        upgradeText.cursor = canBuy ? 'pointer' : 'default';
+        
+        if (canBuy) {
+          upgradeText.on('pointerdown', () => {
+            coins -= cost;
+            addUpgradeLevel(key);
+            saveGameData();
+            emitGameEvent('purchase', getPurchaseProgress());
+            createShop(); // Refresh shop
+          });
+        }
+        shopContainer.addChild(upgradeText);
+      });
+
+      const backButton = new PIXI.Text({
+        text: 'BACK TO MENU',
         style: buttonStyle,
       });
-      shopButton.anchor.set(0.5);
-      shopButton.x = app.renderer.width * 0.5;
-      shopButton.y = app.renderer.height * 0.55;
-      shopButton.interactive = true;
-      shopButton.cursor = 'pointer';
-      shopButton.on('pointerdown', () => {
-        gameState = 'shop';
+      backButton.anchor.set(0.5);
+      backButton.x = app.renderer.width * 0.5;
+      backButton.y = app.renderer.height * 0.9;
+      backButton.interactive = true;
+      backButton.cursor = 'pointer';
+      backButton.on('pointerdown', () => {
+        gameState = 'mainMenu';
         updateUI();
       });
-      mainMenuContainer.addChild(shopButton);
+      shopContainer.addChild(backButton);
+    }
+
+    // Create garage: buy vehicles and pick the one to fly
+    function createGarage() {
+      clearScreen(garageContainer);
+      
+      const title = new PIXI.Text({
+        text: '🛩️ GARAGE',
+        style: { ...titleStyle, fontSize: 36 },
+      });
+      title.anchor.set(0.5);
+      title.x = app.renderer.width * 0.5;
+      title.y = app.renderer.height * 0.1;
+      garageContainer.addChild(title);
 
       const coinsText = new PIXI.Text({
         text: `💰 Coins: ${coins}`,
@@ -427,195 +3747,474 @@
       });
       coinsText.anchor.set(0.5);
       coinsText.x = app.renderer.width * 0.5;
-      coinsText.y = app.renderer.height * 0.7;
-      mainMenuContainer.addChild(coinsText);
+      coinsText.y = app.renderer.height * 0.17;
+      garageContainer.addChild(coinsText);
 
-      const recordText = new PIXI.Text({
-        text: `🏆 Record: ${Math.floor(recordDistance)}m`,
-        style: { ...textStyle, fill: 0x00FF00 },
+      Object.entries(VEHICLES).forEach(([id, vehicle], index) => {
+        const y = app.renderer.height * 0.27 + index * 70;
+        const owned = ownedVehicles.includes(id);
+        const selected = id === selectedVehicle;
+        const canAfford = coins >= vehicle.cost;
+        
+        // Vehicle silhouette, nose to the right
+        const icon = new PIXI.Graphics();
+        const iconX = app.renderer.width * 0.5 - 220;
+        const iconScale = 60;
+        icon.beginFill(vehicle.color);
+        if (vehicle.circle) {
+          icon.drawCircle(iconX, y, vehicle.circle * iconScale);
+        } else {
+          icon.drawPolygon(vehicle.polygon.flatMap(v => [iconX + v.x * iconScale, y - v.y * iconScale]));
+        }
+        icon.endFill();
+        garageContainer.addChild(icon);
+        
+        let status;
+        if (selected) {
+          status = 'SELECTED';
+        } else if (owned) {
+          status = 'OWNED - click to select';
+        } else {
+          status = `${vehicle.cost} coins`;
+        }
+        
+        const vehicleText = new PIXI.Text({
+          text: `${vehicle.name} - ${status}\n${vehicle.description}`,
+          style: {
+            ...textStyle,
+            fill: selected ? 0x4ade80 : (owned || canAfford ? 0xFFFFFF : 0x9CA3AF),
+            fontSize: 16,
+            align: 'center'
+          },
+        });
+        vehicleText.anchor.set(0.5);
+        vehicleText.x = app.renderer.width * 0.5;
+        vehicleText.y = y;
+        
+        const clickable = !selected && (owned || canAfford);
+        vehicleText.interactive = clickable;
+        vehicleText.cursor = clickable ? 'pointer' : 'default';
+        if (clickable) {
+          vehicleText.on('pointerdown', () => {
+            if (!owned) {
+              coins -= vehicle.cost;
+              ownedVehicles.push(id);
+            }
+            selectedVehicle = id;
+            saveGameData();
+            if (!owned) {
+              emitGameEvent('purchase', getPurchaseProgress());
+            }
+            createGarage(); // Refresh garage
+          });
+        }
+        garageContainer.addChild(vehicleText);
       });
-      recordText.anchor.set(0.5);
-      recordText.x = app.renderer.width * 0.5;
-      recordText.y = app.renderer.height * 0.8;
-      mainMenuContainer.addChild(recordText);
+
+      const backButton = new PIXI.Text({
+        text: 'BACK TO MENU',
+        style: buttonStyle,
+      });
+      backButton.anchor.set(0.5);
+      backButton.x = app.renderer.width * 0.5;
+      backButton.y = app.renderer.height * 0.9;
+      backButton.interactive = true;
+      backButton.cursor = 'pointer';
+      backButton.on('pointerdown', () => {
+        gameState = 'mainMenu';
+        updateUI();
+      });
+      garageContainer.addChild(backButton);
     }
 
-    // Create launching screen
-    function createLaunching() {
-      launchingContainer.removeChildren();
+    // Create run history: distance chart plus the most recent runs
+    function createHistory() {
+      clearScreen(historyContainer);
       
-      const instructions = new PIXI.Text({
-        text: upgrades.launcherAngle > 0 ? 
-          '🚀 Hold SPACE to charge power, Arrow keys to adjust angle' :
-          '🚀 Hold SPACE to charge power, release to launch!',
-        style: { ...textStyle, fontSize: 20 },
+      const title = new PIXI.Text({
+        text: '📈 HISTORY',
+        style: { ...titleStyle, fontSize: 36 },
       });
-      instructions.anchor.set(0.5);
-      instructions.x = app.renderer.width * 0.5;
-      instructions.y = 50;
-      launchingContainer.addChild(instructions);
-
-      // Power meter background
-      const powerBg = new PIXI.Graphics();
-      powerBg.beginFill(0x1f2937);
-      powerBg.drawRect(app.renderer.width * 0.5 - 100, app.renderer.height - 80, 200, 24);
-      powerBg.endFill();
-      
-      // Power meter border
-      powerBg.lineStyle(2, 0xFFFFFF);
-      powerBg.drawRect(app.renderer.width * 0.5 - 100, app.renderer.height - 80, 200, 24);
-      launchingContainer.addChild(powerBg);
-
-      // Power meter fill (green to red based on power)
-      const powerFill = new PIXI.Graphics();
-      const powerColor = launchPower < 0.5 ? 0x22c55e : launchPower < 0.8 ? 0xf59e0b : 0xef4444;
-      powerFill.beginFill(powerColor);
-      powerFill.drawRect(app.renderer.width * 0.5 - 98, app.renderer.height - 78, 196 * launchPower, 20);
-      powerFill.endFill();
-      launchingContainer.addChild(powerFill);
+      title.anchor.set(0.5);
+      title.x = app.renderer.width * 0.5;
+      title.y = app.renderer.height * 0.1;
+      historyContainer.addChild(title);
+
+      const chartLeft = app.renderer.width * 0.15;
+      const chartRight = app.renderer.width * 0.85;
+      const chartTop = app.renderer.height * 0.2;
+      const chartBottom = app.renderer.height * 0.5;
       
-      // Power percentage text
-      const powerText = new PIXI.Text({
-        text: `${Math.floor(launchPower * 100)}%`,
-        style: { ...textStyle, fontSize: 16 },
+      if (runHistory.length < 2) {
+        const emptyText = new PIXI.Text({
+          text: 'Fly a few more times to chart your progress',
+          style: { ...textStyle, fill: 0x9CA3AF },
+        });
+        emptyText.anchor.set(0.5);
+        emptyText.x = app.renderer.width * 0.5;
+        emptyText.y = (chartTop + chartBottom) / 2;
+        historyContainer.addChild(emptyText);
+      } else {
+        // Distance per run, oldest on the left
+        const maxDistance = Math.max(...runHistory.map(run => run.distance), 1);
+        const chart = new PIXI.Graphics();
+        chart.lineStyle(1, 0x6b7280);
+        chart.moveTo(chartLeft, chartTop);
+        chart.lineTo(chartLeft, chartBottom);
+        chart.lineTo(chartRight, chartBottom);
+        
+        const points = runHistory.map((run, index) => ({
+          x: chartLeft + (chartRight - chartLeft) * index / (runHistory.length - 1),
+          y: chartBottom - (chartBottom - chartTop) * run.distance / maxDistance
+        }));
+        chart.lineStyle(3, 0x4a90e2);
+        chart.moveTo(points[0].x, points[0].y);
+        points.slice(1).forEach(point => chart.lineTo(point.x, point.y));
+        chart.lineStyle(0);
+        points.forEach(point => {
+          chart.beginFill(0xFFFFFF);
+          chart.drawCircle(point.x, point.y, 3);
+          chart.endFill();
+        });
+        historyContainer.addChild(chart);
+        
+        const maxLabel = new PIXI.Text({
+          text: formatDistance(maxDistance),
+          style: { ...textStyle, fontSize: 12 },
+        });
+        maxLabel.anchor.set(1, 0.5);
+        maxLabel.x = chartLeft - 8;
+        maxLabel.y = chartTop;
+        historyContainer.addChild(maxLabel);
+        
+        const axisLabel = new PIXI.Text({
+          text: `Distance over your last ${runHistory.length} flights`,
+          style: { ...textStyle, fontSize: 12, fill: 0x9CA3AF },
+        });
+        axisLabel.anchor.set(0.5, 0);
+        axisLabel.x = app.renderer.width * 0.5;
+        axisLabel.y = chartBottom + 6;
+        historyContainer.addChild(axisLabel);
+      }
+
+      // Most recent runs, newest first
+      runHistory.slice(-HISTORY_LIST_LENGTH).reverse().forEach((run, index) => {
+        const vehicle = VEHICLES[run.vehicle];
+        const runText = new PIXI.Text({
+          text: `${formatDistance(run.distance)}  ·  ${formatRunStats(run)}  ·  +${run.coins} coins` +
+            (vehicle ? `  ·  ${vehicle.name}` : ''),
+          style: { ...textStyle, fontSize: 14, fill: index === 0 ? 0xFFFFFF : 0xcbd5e1 },
+        });
+        runText.anchor.set(0.5);
+        runText.x = app.renderer.width * 0.5;
+        runText.y = app.renderer.height * 0.58 + index * 22;
+        historyContainer.addChild(runText);
+      });
+
+      const backButton = new PIXI.Text({
+        text: 'BACK TO MENU',
+        style: buttonStyle,
+      });
+      backButton.anchor.set(0.5);
+      backButton.x = app.renderer.width * 0.5;
+      backButton.y = app.renderer.height * 0.9;
+      backButton.interactive = true;
+      backButton.cursor = 'pointer';
+      backButton.on('pointerdown', () => {
+        gameState = 'mainMenu';
+        updateUI();
+      });
+      historyContainer.addChild(backButton);
+    }
+
+    // Create achievements list: unlocked ones first, in data file order
+    function createAchievements() {
+      clearScreen(achievementsContainer);
+      
+      const title = new PIXI.Text({
+        text: '🏅 ACHIEVEMENTS',
+        style: { ...titleStyle, fontSize: 36 },
+      });
+      title.anchor.set(0.5);
+      title.x = app.renderer.width * 0.5;
+      title.y = app.renderer.height * 0.1;
+      achievementsContainer.addChild(title);
+
+      const list = Object.values(ACHIEVEMENTS);
+      const sorted = [
+        ...list.filter(achievement => unlockedAchievements[achievement.id]),
+        ...list.filter(achievement => !unlockedAchievements[achievement.id])
+      ];
+      sorted.forEach((achievement, index) => {
+        const unlocked = !!unlockedAchievements[achievement.id];
+        const achievementText = new PIXI.Text({
+          text: `${unlocked ? '✔' : '🔒'} ${achievement.name} - ${achievement.description}` +
+            (achievement.reward ? `  (+${achievement.reward} coins)` : ''),
+          style: { ...textStyle, fontSize: 16, fill: unlocked ? 0x4ade80 : 0x9CA3AF },
+        });
+        achievementText.anchor.set(0.5);
+        achievementText.x = app.renderer.width * 0.5;
+        achievementText.y = app.renderer.height * 0.2 + index * 30;
+        achievementsContainer.addChild(achievementText);
+      });
+
+      const backButton = new PIXI.Text({
+        text: 'BACK TO MENU',
+        style: buttonStyle,
+      });
+      backButton.anchor.set(0.5);
+      backButton.x = app.renderer.width * 0.5;
+      backButton.y = app.renderer.height * 0.9;
+      backButton.interactive = true;
+      backButton.cursor = 'pointer';
+      backButton.on('pointerdown', () => {
+        gameState = 'mainMenu';
+        updateUI();
+      });
+      achievementsContainer.addChild(backButton);
+    }
+
+    // Create leaderboard: today's challenge beside the all-time board. Scores
+    // arrive asynchronously, so each column fills in once its board loads.
+    function createLeaderboard() {
+      clearScreen(leaderboardContainer);
+      
+      const title = new PIXI.Text({
+        text: '🏆 LEADERBOARD',
+        style: { ...titleStyle, fontSize: 36 },
       });
-      powerText.anchor.set(0.5);
-      powerText.x = app.renderer.width * 0.5;
-      powerText.y = app.renderer.height - 68;
-      launchingContainer.addChild(powerText);
+      title.anchor.set(0.5);
+      title.x = app.renderer.width * 0.5;
+      title.y = app.renderer.height * 0.1;
+      leaderboardContainer.addChild(title);
 
-      // Angle display
-      if (upgrades.launcherAngle > 0) {
-        const angleText = new PIXI.Text({
-          text: `📐 Angle: ${Math.round(launchAngle * 180 / Math.PI)}°`,
-          style: { ...textStyle, fontSize: 16 },
+      const today = getDailyKey();
+      const columns = [
+        { board: getDailyBoard(today), heading: `📅 Daily challenge ${today}`, x: 0.3 },
+        { board: ALL_TIME_BOARD, heading: '✈️ All-time flights', x: 0.7 }
+      ];
+      columns.forEach(column => {
+        const heading = new PIXI.Text({
+          text: column.heading,
+          style: { ...textStyle, fill: 0xfbbf24 },
         });
-        angleText.anchor.set(0.5);
-        angleText.x = app.renderer.width * 0.5;
-        angleText.y = app.renderer.height - 120;
-        launchingContainer.addChild(angleText);
-      }
+        heading.anchor.set(0.5);
+        heading.x = app.renderer.width * column.x;
+        heading.y = app.renderer.height * 0.2;
+        leaderboardContainer.addChild(heading);
+
+        const rows = new PIXI.Text({
+          text: 'Loading...',
+          style: { ...textStyle, fontSize: 16, align: 'left', lineHeight: 28 },
+        });
+        rows.anchor.set(0.5, 0);
+        rows.x = app.renderer.width * column.x;
+        rows.y = app.renderer.height * 0.25;
+        leaderboardContainer.addChild(rows);
+
+        leaderboard.getScores(column.board, LEADERBOARD_SIZE).then(entries => {
+          rows.text = entries.length === 0 ? 'No flights yet' : entries.map((entry, index) => {
+            // Show a profile's current name if it still exists
+            const profile = profiles.find(other => other.id === entry.profileId);
+            const marker = entry.profileId === activeProfileId ? '▶ ' : '';
+            return `${index + 1}. ${marker}${profile ? profile.name : entry.name}  ${formatDistance(entry.distance)}`;
+          }).join('\n');
+        }).catch(e => {
+          rows.text = 'Scores could not be loaded';
+          log.error('Failed to load leaderboard:', e.message);
+        });
+      });
+
+      const backButton = new PIXI.Text({
+        text: 'BACK TO MENU',
+        style: buttonStyle,
+      });
+      backButton.anchor.set(0.5);
+      backButton.x = app.renderer.width * 0.5;
+      backButton.y = app.renderer.height * 0.9;
+      backButton.interactive = true;
+      backButton.cursor = 'pointer';
+      backButton.on('pointerdown', () => {
+        gameState = 'mainMenu';
+        updateUI();
+      });
+      leaderboardContainer.addChild(backButton);
     }
 
-    // Create flying screen
-    function createFlying() {
-      flyingContainer.removeChildren();
+    // Screen the settings screen returns to: the main menu or the pause menu
+    let settingsReturnState = 'mainMenu';
+
+    // Create pause menu over the frozen flight
+    function createPaused() {
+      clearScreen(pausedContainer);
       
-      const distanceText = new PIXI.Text({
-        text: `📏 Distance: ${Math.floor(distance)}m`,
-        style: { ...textStyle, fontSize: 24, fill: 0xFFD700 },
+      const shade = new PIXI.Graphics();
+      shade.beginFill(0x000000, 0.5);
+      shade.drawRect(0, 0, app.renderer.width, app.renderer.height);
+      shade.endFill();
+      pausedContainer.addChild(shade);
+      
+      const title = new PIXI.Text({
+        text: '⏸ PAUSED',
+        style: titleStyle,
       });
-      distanceText.x = 20;
-      distanceText.y = 20;
-      flyingContainer.addChild(distanceText);
+      title.anchor.set(0.5);
+      title.x = app.renderer.width * 0.5;
+      title.y = app.renderer.height * 0.25;
+      pausedContainer.addChild(title);
 
-      // Speed indicator
-      if (playerBody) {
-        const vel = playerBody.getLinearVelocity();
-        const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
-        const speedText = new PIXI.Text({
-          text: `⚡ Speed: ${Math.floor(speed * 3.6)}km/h`,
-          style: { ...textStyle, fontSize: 18, fill: 0x00FF00 },
+      const pauseActions = [
+        ['RESUME', () => resumeGame()],
+        ['RESTART', () => restartFlight()],
+        ['SETTINGS', () => {
+          settingsReturnState = 'paused';
+          gameState = 'settings';
+          updateUI();
+        }],
+        ['QUIT TO MENU', () => {
+          gameState = 'mainMenu';
+          updateUI();
+        }]
+      ];
+      pauseActions.forEach(([label, action], index) => {
+        const actionButton = new PIXI.Text({
+          text: label,
+          style: buttonStyle,
         });
-        speedText.x = 20;
-        speedText.y = 50;
-        flyingContainer.addChild(speedText);
-      }
+        actionButton.anchor.set(0.5);
+        actionButton.x = app.renderer.width * 0.5;
+        actionButton.y = app.renderer.height * (0.42 + index * 0.1);
+        actionButton.interactive = true;
+        actionButton.cursor = 'pointer';
+        actionButton.on('pointerdown', action);
+        pausedContainer.addChild(actionButton);
+      });
 
-      if (upgrades.flightControl > 0) {
-        const controlText = new PIXI.Text({
-          text: '🎮 Arrow keys for flight control',
-          style: { ...textStyle, fontSize: 14 },
-        });
-        controlText.x = 20;
-        controlText.y = 80;
-        flyingContainer.addChild(controlText);
-      }
+      const hint = new PIXI.Text({
+        text: `${[...new Set([getKeyLabel('pause'), ...ACTIONS.pause.fixedKeys.map(formatKey)])].join(' or ')} to resume`,
+        style: { ...textStyle, fontSize: 14, fill: 0x9CA3AF },
+      });
+      hint.anchor.set(0.5);
+      hint.x = app.renderer.width * 0.5;
+      hint.y = app.renderer.height * 0.85;
+      pausedContainer.addChild(hint);
     }
 
-    // Create shop
-    function createShop() {
-      shopContainer.removeChildren();
+    // Create settings screen: options and key bindings, saved with the profile
+    function createSettings() {
+      clearScreen(settingsContainer);
       
       const title = new PIXI.Text({
-        text: '🛒 SHOP',
+        text: '⚙️ SETTINGS',
         style: { ...titleStyle, fontSize: 36 },
       });
       title.anchor.set(0.5);
       title.x = app.renderer.width * 0.5;
       title.y = app.renderer.height * 0.1;
-      shopContainer.addChild(title);
+      settingsContainer.addChild(title);
 
-      let yOffset = 0;
-      Object.entries(UPGRADES).forEach(([key, upgrade]) => {
-        const level = upgrades[key];
-        
-        // Check requirements
-        if (upgrade.requires && upgrades[upgrade.requires] === 0) {
-          return; // Skip if requirement not met
-        }
-        
-        // Check if maxed out
-        if (upgrade.maxLevel && level >= upgrade.maxLevel) {
-          const maxText = new PIXI.Text({
-            text: `${upgrade.name} - MAXED`,
-            style: {
-              fill: 0x666666,
-              fontFamily: 'Segoe UI, Roboto, Arial, sans-serif',
-              fontSize: 16,
-            },
-          });
-          maxText.anchor.set(0.5);
-          maxText.x = app.renderer.width * 0.5;
-          maxText.y = app.renderer.height * 0.25 + yOffset * 35;
-          shopContainer.addChild(maxText);
-          yOffset++;
-          return;
-        }
-        
-        const cost = upgrade.baseCost * Math.pow(1.5, level);
-        const canAfford = coins >= cost;
-        
-        let displayText = `${upgrade.name}`;
-        if (upgrade.unlockOnly) {
-          displayText += level > 0 ? ' - UNLOCKED' : ` - ${Math.floor(cost)} coins`;
-        } else {
-          displayText += ` (Lv.${level}) - ${Math.floor(cost)} coins`;
-        }
-        
-        if (upgrade.description && level === 0) {
-          displayText += `\n${upgrade.description}`;
-        }
-        
-        const upgradeText = new PIXI.Text({
-          text: displayText,
+      // Options on the left, each click steps to the next value; controls on the right
+      const onOff = (value) => value ? 'ON' : 'OFF';
+      const formatPercent = (value) => `${Math.round(value * 100)}%`;
+      const options = [
+        { key: 'showGhost', label: 'Ghost & record marker', values: [true, false], format: onOff },
+        { key: 'timingLaunch', label: 'Timing launch meter', values: [false, true], format: onOff },
+        { key: 'volume', label: 'Master volume', values: VOLUME_STEPS, format: formatPercent },
+        { key: 'musicVolume', label: 'Music volume', values: VOLUME_STEPS, format: formatPercent },
+        { key: 'sfxVolume', label: 'Effects volume', values: VOLUME_STEPS, format: formatPercent },
+        { key: 'dayNight', label: 'Day/night cycle', values: [true, false], format: onOff },
+        { key: 'reducedMotion', label: 'Reduced motion', values: [false, true], format: onOff },
+        { key: 'units', label: 'Units', values: Object.keys(UNIT_SYSTEMS), format: () => getUnits().label },
+        { key: 'quality', label: 'Quality', values: Object.keys(QUALITY_LEVELS), format: () => getQuality().label }
+      ];
+
+      const optionsTitle = new PIXI.Text({
+        text: '🛠️ Options (click to change)',
+        style: { ...textStyle, fill: 0xfbbf24 },
+      });
+      optionsTitle.anchor.set(0.5);
+      optionsTitle.x = app.renderer.width * 0.3;
+      optionsTitle.y = app.renderer.height * 0.22;
+      settingsContainer.addChild(optionsTitle);
+
+      options.forEach((option, index) => {
+        const value = getSetting(option.key);
+        const optionButton = new PIXI.Text({
+          text: `${option.label}: ${option.format(value)}`,
           style: {
-            ...textStyle,
-            fill: canAfford ? 0xFFFFFF : 0x9CA3AF,
-            fontSize: 16,
-            align: 'center'
+            ...buttonStyle,
+            fontSize: 20,
+            fill: value === true ? 0x4ade80 : value === false ? 0x9CA3AF : 0xFFFFFF
           },
         });
-        upgradeText.anchor.set(0.5);
-        upgradeText.x = app.renderer.width * 0.5;
-        upgradeText.y = app.renderer.height * 0.25 + yOffset * 45;
-        upgradeText.interactive = canAfford;
-        upgradeText.cursor = canAfford ? 'pointer' : 'default';
-        
-        if (canAfford) {
-          upgradeText.on('pointerdown', () => {
-            coins -= Math.floor(cost);
-            upgrades[key]++;
-            saveGameData();
-            createShop(); // Refresh shop
-          });
-        }
-        shopContainer.addChild(upgradeText);
-        yOffset++;
+        optionButton.anchor.set(0.5);
+        optionButton.x = app.renderer.width * 0.3;
+        optionButton.y = optionsTitle.y + 40 + index * 36;
+        optionButton.interactive = true;
+        optionButton.cursor = 'pointer';
+        optionButton.on('pointerdown', () => {
+          settings[option.key] = option.values[(option.values.indexOf(value) + 1) % option.values.length];
+          saveGameData();
+          updateUI();
+        });
+        settingsContainer.addChild(optionButton);
+      });
+
+      const controlsTitle = new PIXI.Text({
+        text: '🎮 Controls (click one, then press a key; Esc cancels)',
+        style: { ...textStyle, fill: 0xfbbf24 },
+      });
+      controlsTitle.anchor.set(0.5);
+      controlsTitle.x = app.renderer.width * 0.7;
+      controlsTitle.y = app.renderer.height * 0.22;
+      settingsContainer.addChild(controlsTitle);
+
+      Object.entries(ACTIONS).forEach(([action, info], index) => {
+        const waiting = rebindingAction === action;
+        const bindingButton = new PIXI.Text({
+          text: `${info.label}: ${waiting ? 'press a key...' : formatKey(getKeyBinding(action))}`,
+          style: { ...buttonStyle, fontSize: 18, fill: waiting ? 0xfbbf24 : 0xFFFFFF },
+        });
+        bindingButton.anchor.set(0.5);
+        bindingButton.x = app.renderer.width * 0.7;
+        bindingButton.y = controlsTitle.y + 36 + index * 30;
+        bindingButton.interactive = true;
+        bindingButton.cursor = 'pointer';
+        bindingButton.on('pointerdown', () => {
+          // Clicking the waiting row again cancels
+          rebindingAction = waiting ? null : action;
+          updateUI();
+        });
+        settingsContainer.addChild(bindingButton);
+      });
+
+      const gamepadText = new PIXI.Text({
+        text: 'Gamepad: A launch/thrust, RT thrust, D-pad or stick pitch, Start pause',
+        style: { ...textStyle, fontSize: 14, fill: 0x9CA3AF },
+      });
+      gamepadText.anchor.set(0.5);
+      gamepadText.x = app.renderer.width * 0.7;
+      gamepadText.y = controlsTitle.y + 36 + Object.keys(ACTIONS).length * 30 + 10;
+      settingsContainer.addChild(gamepadText);
+
+      const resetButton = new PIXI.Text({
+        text: 'RESET CONTROLS',
+        style: { ...buttonStyle, fontSize: 16 },
+      });
+      resetButton.anchor.set(0.5);
+      resetButton.x = app.renderer.width * 0.7;
+      resetButton.y = gamepadText.y + 34;
+      resetButton.interactive = true;
+      resetButton.cursor = 'pointer';
+      resetButton.on('pointerdown', () => {
+        rebindingAction = null;
+        resetKeyBindings();
+        updateUI();
       });
+      settingsContainer.addChild(resetButton);
 
       const backButton = new PIXI.Text({
-        text: 'BACK TO MENU',
+        text: settingsReturnState === 'paused' ? 'BACK TO PAUSE MENU' : 'BACK TO MENU',
         style: buttonStyle,
       });
       backButton.anchor.set(0.5);
@@ -624,18 +4223,48 @@
       backButton.interactive = true;
       backButton.cursor = 'pointer';
       backButton.on('pointerdown', () => {
-        gameState = 'mainMenu';
+        rebindingAction = null;
+        gameState = settingsReturnState;
         updateUI();
       });
-      shopContainer.addChild(backButton);
+      settingsContainer.addChild(backButton);
+    }
+
+    // Age the toast queue and lay it out, newest at the bottom; each toast keeps its text
+    function renderToasts(deltaTime) {
+      toasts.forEach(toast => { toast.age += deltaTime; });
+      toasts.forEach(toast => {
+        if (toast.age >= TOAST_DURATION && toast.view) toast.view.destroy();
+      });
+      toasts = toasts.filter(toast => toast.age < TOAST_DURATION);
+      toasts.forEach((toast, index) => {
+        if (!toast.view) {
+          toast.view = new PIXI.Text({
+            text: toast.text,
+            style: { ...textStyle, fontSize: 18, fill: 0xfbbf24 },
+          });
+          toast.view.anchor.set(0.5, 0);
+          toastContainer.addChild(toast.view);
+        }
+        toast.view.x = app.renderer.width * 0.5;
+        toast.view.y = 90 + index * 30;
+        // Fade out over the last half second
+        toast.view.alpha = Math.min(1, (TOAST_DURATION - toast.age) / 0.5);
+      });
+    }
+
+    // One-line summary of a run's statistics
+    function formatRunStats(run) {
+      return `⛰️ Peak ${formatDistance(run.peakAltitude, 1)}  ·  🚀 Top ${formatSpeed(run.topSpeed)}  ·  ` +
+        `⏱️ Air ${run.airtime.toFixed(1)}s  ·  🏀 Bounces ${run.bounces}`;
     }
 
     // Create game over screen
     function createGameOver() {
-      gameOverContainer.removeChildren();
+      clearScreen(gameOverContainer);
       
       const title = new PIXI.Text({
-        text: 'FLIGHT COMPLETE',
+        text: dailyChallenge ? 'DAILY CHALLENGE COMPLETE' : 'FLIGHT COMPLETE',
         style: {
           fill: 0xe8eefc,
           fontFamily: 'Segoe UI, Roboto, Arial, sans-serif',
@@ -648,8 +4277,23 @@
       title.y = app.renderer.height * 0.25;
       gameOverContainer.addChild(title);
 
+      if (lastRun) {
+        const runStatsText = new PIXI.Text({
+          text: formatRunStats(lastRun),
+          style: {
+            fill: 0xcbd5e1,
+            fontFamily: 'Segoe UI, Roboto, Arial, sans-serif',
+            fontSize: 14,
+          },
+        });
+        runStatsText.anchor.set(0.5);
+        runStatsText.x = app.renderer.width * 0.5;
+        runStatsText.y = app.renderer.height * 0.305;
+        gameOverContainer.addChild(runStatsText);
+      }
+
       const distanceText = new PIXI.Text({
-        text: `Distance: ${Math.floor(distance)}m`,
+        text: `Distance: ${formatDistance(distance)}`,
         style: {
           fill: 0xaec7ff,
           fontFamily: 'Segoe UI, Roboto, Arial, sans-serif',
@@ -661,12 +4305,30 @@
       distanceText.y = app.renderer.height * 0.35;
       gameOverContainer.addChild(distanceText);
 
+      if (lastRecording) {
+        const seedText = new PIXI.Text({
+          text: (dailyChallenge ? `📅 ${dailyChallenge}  ·  ` : '') + `Seed: ${lastRecording.seed}` + (lastCrash ? `  ·  💥 Crashed into a ${lastCrash}` : ''),
+          style: {
+            fill: 0x9CA3AF,
+            fontFamily: 'Segoe UI, Roboto, Arial, sans-serif',
+            fontSize: 14,
+          },
+        });
+        seedText.anchor.set(0.5);
+        seedText.x = app.renderer.width * 0.5;
+        seedText.y = app.renderer.height * 0.4;
+        gameOverContainer.addChild(seedText);
+      }
+
       const coinsEarned = new PIXI.Text({
-        text: `Coins Earned: ${Math.floor(distance * 2)}`,
+        text: `Coins Earned: ${lastEarnings.distance + lastEarnings.pickups}\n` +
+          (dailyChallenge ? '📅 Daily flights pay for pickups only' : `📏 Distance ${lastEarnings.distance}`) +
+          `  ·  ✨ Pickups ${lastEarnings.pickups}`,
         style: {
           fill: 0xffe066,
           fontFamily: 'Segoe UI, Roboto, Arial, sans-serif',
           fontSize: 20,
+          align: 'center',
         },
       });
       coinsEarned.anchor.set(0.5);
@@ -674,7 +4336,7 @@
       coinsEarned.y = app.renderer.height * 0.45;
       gameOverContainer.addChild(coinsEarned);
 
-      if (distance >= recordDistance - 0.1) {
+      if (!dailyChallenge && distance >= recordDistance - 0.1) {
         const newRecord = new PIXI.Text({
           text: 'NEW RECORD!',
           style: {
@@ -686,10 +4348,51 @@
         });
         newRecord.anchor.set(0.5);
         newRecord.x = app.renderer.width * 0.5;
-        newRecord.y = app.renderer.height * 0.55;
+        newRecord.y = app.renderer.height * 0.51;
         gameOverContainer.addChild(newRecord);
       }
 
+      if (lastRecording) {
+        const watchButton = new PIXI.Text({
+          text: '▶️ WATCH REPLAY',
+          style: { ...buttonStyle, fontSize: 18 },
+        });
+        watchButton.anchor.set(0.5);
+        watchButton.x = app.renderer.width * 0.4;
+        watchButton.y = app.renderer.height * 0.57;
+        watchButton.interactive = true;
+        watchButton.cursor = 'pointer';
+        watchButton.on('pointerdown', () => {
+          startReplay(lastRecording, 'gameOver');
+        });
+        gameOverContainer.addChild(watchButton);
+
+        const exportButton = new PIXI.Text({
+          text: '🔗 EXPORT REPLAY',
+          style: { ...buttonStyle, fontSize: 18 },
+        });
+        exportButton.anchor.set(0.5);
+        exportButton.x = app.renderer.width * 0.6;
+        exportButton.y = app.renderer.height * 0.57;
+        exportButton.interactive = true;
+        exportButton.cursor = 'pointer';
+        exportButton.on('pointerdown', () => {
+          exportReplay(lastRecording);
+        });
+        gameOverContainer.addChild(exportButton);
+      }
+
+      if (statusMessage) {
+        const messageText = new PIXI.Text({
+          text: statusMessage,
+          style: { ...textStyle, fontSize: 14 },
+        });
+        messageText.anchor.set(0.5);
+        messageText.x = app.renderer.width * 0.5;
+        messageText.y = app.renderer.height * 0.93;
+        gameOverContainer.addChild(messageText);
+      }
+
       const playAgainButton = new PIXI.Text({
         text: 'FLY AGAIN',
         style: buttonStyle,
@@ -700,11 +4403,7 @@
       playAgainButton.interactive = true;
       playAgainButton.cursor = 'pointer';
       playAgainButton.on('pointerdown', () => {
-        gameState = 'launching';
-        launchPower = 0;
-        flightEnded = false;
-        resetPlayerPosition();
-        updateUI();
+        restartFlight();
       });
       gameOverContainer.addChild(playAgainButton);
 
@@ -739,139 +4438,704 @@
       gameOverContainer.addChild(menuButton);
     }
 
+    // Background, in screen space: the sky (a horizon-coloured base under a
+    // shade that fades out towards the horizon, both set by tint), stars that
+    // come out at night and near space, then the parallax layers. Everything is
+    // drawn once per screen size; updateBackground only moves and tints it.
+    const SKY_SHADE_BANDS = 24;
+    const STAR_COUNT = 80;
+    const skyBase = new PIXI.Graphics();
+    const skyShade = new PIXI.Graphics();
+    const stars = new PIXI.Graphics();
+    const parallaxViews = PARALLAX_LAYERS.map(layer => ({ layer, graphics: new PIXI.Graphics() }));
+    background.addChild(skyBase, skyShade, stars, ...parallaxViews.map(view => view.graphics));
+    let backgroundSize = ''; // renderer size the background was drawn for
+
+    function drawBackground() {
+      const width = app.renderer.width;
+      const height = app.renderer.height;
+      skyBase.clear();
+      skyBase.beginFill(0xFFFFFF);
+      skyBase.drawRect(0, 0, width, height);
+      skyBase.endFill();
+      
+      // Opaque at the top, clear by the horizon
+      skyShade.clear();
+      const bandHeight = height * 0.8 / SKY_SHADE_BANDS;
+      for (let i = 0; i < SKY_SHADE_BANDS; i++) {
+        skyShade.beginFill(0xFFFFFF, 1 - i / SKY_SHADE_BANDS);
+        skyShade.drawRect(0, i * bandHeight, width, bandHeight + 1);
+        skyShade.endFill();
+      }
+      
+      stars.clear();
+      stars.beginFill(0xFFFFFF);
+      for (let i = 0; i < STAR_COUNT; i++) {
+        stars.drawCircle(hashUnit(i, 1) * width, hashUnit(i, 2) * height * 0.7, 0.5 + hashUnit(i, 3));
+      }
+      stars.endFill();
+      
+      // Enough whole tiles to cover the screen at any scroll offset
+      parallaxViews.forEach((view, layerIndex) => {
+        const copies = Math.ceil(width / view.layer.tile) + 1;
+        view.graphics.clear();
+        if (view.layer.kind === 'ridge') {
+          drawRidge(view.graphics, view.layer, layerIndex, copies);
+        } else {
+          drawClouds(view.graphics, view.layer, layerIndex, copies);
+        }
+      });
+    }
+
+    // A skyline from whole sine waves per tile, so each tile joins the next
+    function drawRidge(graphics, layer, layerIndex, copies) {
+      const height = app.renderer.height;
+      const norm = layer.waves.reduce((sum, cycles, k) => sum + 1 / (k + 1), 0);
+      const points = [];
+      for (let x = 0; x <= layer.tile * copies; x += 16) {
+        let wave = 0;
+        layer.waves.forEach((cycles, k) => {
+          const phase = hashUnit(layerIndex, k) * 2 * Math.PI;
+          wave += Math.sin(2 * Math.PI * cycles * x / layer.tile + phase) / (k + 1);
+        });
+        const rise = (wave / norm + 1) / 2; // 0..1
+        points.push(x, height * (layer.peaks[1] - (layer.peaks[1] - layer.peaks[0]) * rise));
+      }
+      
+      // Filled well below the screen, since the layer drops as the camera climbs
+      const bottom = height * 3;
+      graphics.beginFill(layer.color);
+      graphics.drawPolygon([...points, points[points.length - 2], bottom, 0, bottom]);
+      graphics.endFill();
+    }
+
+    // The same clouds in every tile, each a few overlapping ellipses
+    function drawClouds(graphics, layer, layerIndex, copies) {
+      const height = app.renderer.height;
+      graphics.alpha = layer.alpha;
+      graphics.beginFill(layer.color);
+      for (let copy = 0; copy < copies; copy++) {
+        for (let i = 0; i < layer.count; i++) {
+          const x = (copy + hashUnit(layerIndex, i)) * layer.tile;
+          const y = height * (layer.band[0] + (layer.band[1] - layer.band[0]) * hashUnit(layerIndex, i + 100));
+          const size = 40 + hashUnit(layerIndex, i + 200) * 60;
+          graphics.drawEllipse(x, y, size, size * 0.35);
+          graphics.drawEllipse(x - size * 0.5, y + size * 0.1, size * 0.6, size * 0.25);
+          graphics.drawEllipse(x + size * 0.5, y + size * 0.08, size * 0.55, size * 0.25);
+        }
+      }
+      graphics.endFill();
+    }
+
+    // Colour the sky for the time of day and altitude, and scroll the layers
+    function updateBackground() {
+      const size = `${app.renderer.width}x${app.renderer.height}`;
+      if (backgroundSize !== size) {
+        backgroundSize = size;
+        drawBackground();
+      }
+      
+      // How far the view's centre has climbed above the launcher framing, in px
+      const centerX = camera.x + app.renderer.width / camera.zoom * 0.5;
+      const rise = -TERRAIN.baseY * PHYSICS_SCALE - app.renderer.height * 0.2 -
+        (camera.y + app.renderer.height / camera.zoom * 0.5);
+      const space = Math.min(Math.max(rise / PHYSICS_SCALE / SPACE_ALTITUDE, 0), 1);
+      const sky = getSkyColors();
+      skyShade.tint = mixColor(sky.top, SPACE_COLOR, space);
+      skyBase.tint = mixColor(sky.horizon, SPACE_COLOR, space * 0.6);
+      stars.alpha = Math.max(1 - sky.light, space);
+      
+      // Layers are lit like the sky; clouds drift unless motion is reduced
+      const shade = mixColor(0x000000, 0xFFFFFF, sky.light);
+      const time = getSetting('reducedMotion') ? 0 : performance.now() / 1000;
+      parallaxViews.forEach(({ layer, graphics }) => {
+        const scroll = centerX * layer.factor + (layer.drift || 0) * time;
+        graphics.x = -(((scroll % layer.tile) + layer.tile) % layer.tile);
+        graphics.y = rise * layer.factor;
+        graphics.tint = shade;
+      });
+    }
+
+    // World views are built once and then moved, not rebuilt every frame. Terrain,
+    // zones and features are built per chunk as it scrolls into view and destroyed
+    // as it leaves. The world layer is in world pixels (PHYSICS_SCALE px per m,
+    // y down) and the camera is applied as its offset and scale.
+    const TERRAIN_DEPTH = 50; // m of dirt below a chunk's lowest point
+
+    const zoneLayer = new PIXI.Container();
+    const windStreaks = new PIXI.Graphics(); // moving, so redrawn every frame
+    const pickupLayer = new PIXI.Container();
+    const terrainLayer = new PIXI.Container();
+    const hazardLayer = new PIXI.Container();
+    let chunkViews = new Map(); // chunk index -> { zone, terrain, pickups, hazards } display objects
+    let chunkViewsSim = null; // the simulation chunkViews were built for
+
+    // Launcher (much more visible) at the player's start position: a base on a
+    // post down to the pad, and a bright orange barrel that turns with the angle
+    const launcherView = new PIXI.Graphics();
+    launcherView.beginFill(0x374151);
+    launcherView.drawRect(-40, 0, 80, 30);
+    launcherView.drawRect(-10, 30, 20, (2 - TERRAIN.baseY) * PHYSICS_SCALE - 30);
+    launcherView.endFill();
+    launcherView.position.set(0, -2 * PHYSICS_SCALE);
+    const launcherBarrel = new PIXI.Graphics();
+    launcherBarrel.lineStyle(12, 0xf97316);
+    launcherBarrel.moveTo(0, 0);
+    launcherBarrel.lineTo(60, 0);
+    launcherView.addChild(launcherBarrel);
+
+    // Targeting preview, redrawn only when the prediction grows
+    const previewView = new PIXI.Graphics();
+    let previewDrawn = null; // { preview, dots, reticle } last drawn
+
+    // Flag at the record distance
+    const recordFlag = new PIXI.Graphics();
+    recordFlag.lineStyle(3, 0xFFFFFF);
+    recordFlag.moveTo(0, 0);
+    recordFlag.lineTo(0, -60);
+    recordFlag.lineStyle(0);
+    recordFlag.beginFill(0x4ade80);
+    recordFlag.drawPolygon([0, -60, 30, -52, 0, -44]);
+    recordFlag.endFill();
+
+    // Vehicles are drawn around their body origin and placed with position and rotation
+    const ghostView = { graphics: new PIXI.Graphics(), vehicle: null };
+    ghostView.graphics.alpha = GHOST_ALPHA;
+    const playerView = { graphics: new PIXI.Graphics(), vehicle: null };
+    // Engine flame out of the tail, 1 m long; scale.x sets its length
+    const playerFlame = new PIXI.Graphics();
+    playerFlame.beginFill(0xf97316);
+    playerFlame.drawPolygon([0, -0.1 * PHYSICS_SCALE, -PHYSICS_SCALE, 0, 0, 0.1 * PHYSICS_SCALE]);
+    playerFlame.endFill();
+    playerView.graphics.addChild(playerFlame);
+
+    ground.addChild(zoneLayer, windStreaks, pickupLayer, terrainLayer, hazardLayer, launcherView, previewView,
+      recordFlag, ghostView.graphics, playerView.graphics);
+
+    // Debug overlay (?debug, or DEBUG_KEY): every planck fixture, the touching
+    // contacts, and the player's velocity and forces, drawn over the world,
+    // plus a stats panel. Forces are arrows scaled to the player's weight; the
+    // pitch torque is an arc around the player.
+    const DEBUG_FORCE_SCALE = 40; // px for a force equal to the player's weight
+    const DEBUG_VELOCITY_SCALE = 4; // px per m/s
+    const DEBUG_FORCES = [
+      { id: 'gravity', color: 0xa78bfa },
+      { id: 'lift', color: 0x60a5fa },
+      { id: 'drag', color: 0xf87171 },
+      { id: 'thrust', color: 0xfb923c },
+      { id: 'wind', color: 0x22d3ee }
+    ];
+    const debugGraphics = new PIXI.Graphics();
+    ground.addChild(debugGraphics);
+    const debugPanel = new PIXI.Text({
+      text: '',
+      style: { ...textStyle, fontSize: 13, fontFamily: 'monospace' },
+    });
+    debugPanel.anchor.set(1, 0);
+    uiLayer.addChild(debugPanel);
+
+    function renderDebugOverlay() {
+      debugGraphics.visible = debugOverlay;
+      debugPanel.visible = debugOverlay;
+      if (!debugOverlay) return;
+      debugGraphics.clear();
+      const line = 1 / camera.zoom; // a screen pixel at any zoom
+      
+      // Fixtures in contact right now are drawn bolder
+      const touching = new Set();
+      let contactCount = 0;
+      for (let contact = sim.world.getContactList(); contact; contact = contact.getNext()) {
+        if (!contact.isTouching()) continue;
+        contactCount++;
+        touching.add(contact.getFixtureA());
+        touching.add(contact.getFixtureB());
+      }
+      
+      // Sensors yellow, static bodies grey, moving ones green
+      for (let body = sim.world.getBodyList(); body; body = body.getNext()) {
+        for (let fixture = body.getFixtureList(); fixture; fixture = fixture.getNext()) {
+          const color = fixture.isSensor() ? 0xfacc15 : body.isStatic() ? 0x9ca3af : 0x4ade80;
+          const active = touching.has(fixture);
+          debugGraphics.lineStyle((active ? 3 : 1) * line, color, active ? 1 : 0.6);
+          drawDebugShape(body, fixture.getShape());
+        }
+      }
+      
+      // Contact points with their normals
+      debugGraphics.lineStyle(2 * line, 0xef4444);
+      for (let contact = sim.world.getContactList(); contact; contact = contact.getNext()) {
+        if (!contact.isTouching() || contact.getManifold().pointCount === 0) continue;
+        const manifold = contact.getWorldManifold(null);
+        for (let i = 0; i < manifold.pointCount; i++) {
+          const x = manifold.points[i].x * PHYSICS_SCALE;
+          const y = -manifold.points[i].y * PHYSICS_SCALE;
+          debugGraphics.drawCircle(x, y, 3 * line);
+          debugGraphics.moveTo(x, y);
+          debugGraphics.lineTo(x + manifold.normal.x * 15 * line, y - manifold.normal.y * 15 * line);
+        }
+      }
+      
+      // Velocity and forces on the player, at its physics position
+      const body = sim.playerBody;
+      const pos = body.getPosition();
+      const x = pos.x * PHYSICS_SCALE;
+      const y = -pos.y * PHYSICS_SCALE;
+      const vel = body.getLinearVelocity();
+      const forces = getDebugForces(sim);
+      const weight = Math.abs(body.getMass() * GRAVITY);
+      drawDebugArrow(x, y, vel.x * DEBUG_VELOCITY_SCALE * line, -vel.y * DEBUG_VELOCITY_SCALE * line, 0xFFFFFF, line);
+      DEBUG_FORCES.forEach(({ id, color }) => {
+        const force = forces[id];
+        if (!force || (force.x === 0 && force.y === 0)) return;
+        const scale = DEBUG_FORCE_SCALE / weight * line;
+        drawDebugArrow(x, y, force.x * scale, -force.y * scale, color, line);
+      });
+      
+      // Pitch torque (stability plus control): an arc from the nose the way it
+      // turns the player; positive is anticlockwise, which is decreasing screen angle
+      if (forces.torque) {
+        const sweep = Math.max(-1, Math.min(forces.torque / weight, 1)) * Math.PI * 0.5;
+        const nose = -body.getAngle();
+        debugGraphics.lineStyle(2 * line, 0xf472b6);
+        debugGraphics.moveTo(x + Math.cos(nose) * 30 * line, y + Math.sin(nose) * 30 * line);
+        debugGraphics.arc(x, y, 30 * line, nose, nose - sweep, sweep > 0);
+      }
+      debugGraphics.lineStyle(0);
+      
+      // Stats panel
+      const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+      const formatForce = (force) => force ? Math.sqrt(force.x * force.x + force.y * force.y).toFixed(1) : '0.0';
+      debugPanel.text = [
+        `FPS ${Math.round(app.ticker.FPS)} · physics ${physicsTime.ms.toFixed(2)} ms / ${physicsTime.steps} steps`,
+        `bodies ${sim.world.getBodyCount()} · contacts ${contactCount} · ` +
+          `chunks ${chunkViews.size} · zoom ${camera.zoom.toFixed(2)}`,
+        `player ${pos.x.toFixed(2)}, ${pos.y.toFixed(2)} m · ${speed.toFixed(1)} m/s · step ${sim.steps}`,
+        DEBUG_FORCES.map(({ id }) => `${id} ${formatForce(forces[id])}`).join(' · ') + ' N',
+        `torque ${(forces.torque || 0).toFixed(2)} N·m · fuel ${sim.fuel.toFixed(1)}`
+      ].join('\n');
+      debugPanel.position.set(app.renderer.width - 20, 70);
+    }
+
+    // Forces on the player during the last physics step, in N
+    function getDebugForces(sim) {
+      const body = sim.playerBody;
+      const mass = body.getMass();
+      const aero = sim.aeroForces;
+      const wind = { x: 0, y: 0 };
+      sim.activeZones.forEach(fixture => {
+        const zone = AIR_ZONES[fixture.getUserData().type];
+        wind.x += zone.push.x * mass;
+        wind.y += zone.push.y * mass;
+      });
+      const angle = body.getAngle();
+      const thrust = sim.thrusting ? sim.stats.engineThrust : 0;
+      return {
+        gravity: { x: 0, y: mass * GRAVITY },
+        lift: aero && aero.lift,
+        drag: aero && aero.drag,
+        thrust: { x: Math.cos(angle) * thrust, y: Math.sin(angle) * thrust },
+        wind,
+        torque: aero ? aero.torque : 0
+      };
+    }
+
+    // Outline a fixture's shape in world pixels
+    function drawDebugShape(body, shape) {
+      const toWorldPixels = (point) => {
+        const world = body.getWorldPoint(point);
+        return [world.x * PHYSICS_SCALE, -world.y * PHYSICS_SCALE];
+      };
+      const type = shape.getType();
+      if (type === 'circle') {
+        const [x, y] = toWorldPixels(shape.getCenter());
+        debugGraphics.drawCircle(x, y, shape.getRadius() * PHYSICS_SCALE);
+      } else if (type === 'polygon') {
+        debugGraphics.drawPolygon(shape.m_vertices.flatMap(toWorldPixels));
+      } else {
+        // Chains and edges are open lines
+        const vertices = type === 'edge' ? [shape.m_vertex1, shape.m_vertex2] : shape.m_vertices;
+        vertices.forEach((vertex, index) => {
+          const [x, y] = toWorldPixels(vertex);
+          if (index === 0) {
+            debugGraphics.moveTo(x, y);
+          } else {
+            debugGraphics.lineTo(x, y);
+          }
+        });
+      }
+    }
+
+    function drawDebugArrow(x, y, dx, dy, color, line) {
+      const length = Math.sqrt(dx * dx + dy * dy);
+      if (length < line) return;
+      const head = Math.min(8 * line, length * 0.4);
+      const ux = dx / length;
+      const uy = dy / length;
+      debugGraphics.lineStyle(2 * line, color);
+      debugGraphics.moveTo(x, y);
+      debugGraphics.lineTo(x + dx, y + dy);
+      debugGraphics.lineTo(x + dx - (ux - uy * 0.5) * head, y + dy - (uy + ux * 0.5) * head);
+      debugGraphics.moveTo(x + dx, y + dy);
+      debugGraphics.lineTo(x + dx - (ux + uy * 0.5) * head, y + dy - (uy - ux * 0.5) * head);
+    }
+
     // Render game world
     function renderWorld() {
-      background.removeChildren();
-      ground.removeChildren();
-      
-      // Sky gradient background (much better colors)
-      const sky = new PIXI.Graphics();
-      // Top sky - deep blue
-      sky.beginFill(0x1e3a8a);
-      sky.drawRect(-camera.x, -camera.y, app.renderer.width * 2, app.renderer.height * 0.6);
-      sky.endFill();
-      // Middle sky - lighter blue
-      sky.beginFill(0x3b82f6);
-      sky.drawRect(-camera.x, -camera.y + app.renderer.height * 0.6, app.renderer.width * 2, app.renderer.height * 0.2);
-      sky.endFill();
-      // Horizon - light blue
-      sky.beginFill(0x93c5fd);
-      sky.drawRect(-camera.x, -camera.y + app.renderer.height * 0.8, app.renderer.width * 2, app.renderer.height * 0.2);
-      sky.endFill();
-      background.addChild(sky);
-      
-      // Render ground (better colors and grass)
-      groundBodies.forEach(body => {
-        const pos = body.getPosition();
-        const groundTile = new PIXI.Graphics();
-        
-        // Dirt
-        groundTile.beginFill(0x8B4513);
-        groundTile.drawRect(
-          pos.x * PHYSICS_SCALE - 5 * PHYSICS_SCALE - camera.x,
-          -pos.y * PHYSICS_SCALE - PHYSICS_SCALE - camera.y,
-          10 * PHYSICS_SCALE,
-          2 * PHYSICS_SCALE
-        );
-        groundTile.endFill();
-        
-        // Grass on top
-        groundTile.beginFill(0x22c55e);
-        groundTile.drawRect(
-          pos.x * PHYSICS_SCALE - 5 * PHYSICS_SCALE - camera.x,
-          -pos.y * PHYSICS_SCALE - PHYSICS_SCALE - camera.y,
-          10 * PHYSICS_SCALE,
-          4
-        );
-        groundTile.endFill();
+      updateBackground();
+      const shake = getCameraShake();
+      ground.scale.set(camera.zoom);
+      ground.position.set(-camera.x * camera.zoom + shake.x, -camera.y * camera.zoom + shake.y);
+      
+      const firstChunk = Math.floor(camera.x / PHYSICS_SCALE / TERRAIN.chunkWidth);
+      const lastChunk = Math.floor((camera.x + app.renderer.width / camera.zoom) / PHYSICS_SCALE / TERRAIN.chunkWidth);
+      updateChunkViews(firstChunk, lastChunk);
+      drawWindStreaks(firstChunk, lastChunk);
+      
+      launcherView.visible = gameState === 'launching';
+      launcherBarrel.rotation = -launchAngle;
+      updatePreviewView();
+      
+      // Personal-best ghost and a flag at the record distance
+      const showGhost = sim && (gameState === 'flying' || gameState === 'paused') && getSetting('showGhost');
+      recordFlag.visible = !!showGhost && recordDistance > 0;
+      if (recordFlag.visible) {
+        recordFlag.position.set(recordDistance * PHYSICS_SCALE, -terrainHeight(sim.seed, recordDistance) * PHYSICS_SCALE);
+      }
+      const ghost = showGhost ? getGhostState(sim.steps - 1 + renderAlpha) : null;
+      ghostView.graphics.visible = !!ghost;
+      if (ghost) {
+        placeVehicleView(ghostView, VEHICLES[bestGhost.vehicle] || sim.vehicle, ghost.x, ghost.y, ghost.angle);
+      }
+      
+      // Render player (bright and visible)
+      playerView.graphics.visible = !!sim &&
+        (gameState === 'launching' || gameState === 'flying' || gameState === 'paused' || gameState === 'replay');
+      if (playerView.graphics.visible) {
+        const pos = getInterpolatedPlayerState();
+        placeVehicleView(playerView, sim.vehicle, pos.x, pos.y, pos.angle);
         
-        ground.addChild(groundTile);
+        // Engine flame out of the tail while thrusting
+        playerFlame.visible = sim.thrusting;
+        if (sim.thrusting) {
+          const vehicle = sim.vehicle;
+          const tail = vehicle.circle ? -vehicle.circle : Math.min(...vehicle.polygon.map(v => v.x));
+          playerFlame.x = tail * PHYSICS_SCALE;
+          playerFlame.scale.x = getSetting('reducedMotion') ? 0.45 : 0.35 + Math.random() * 0.2;
+        }
+      }
+      
+      renderDebugOverlay();
+    }
+
+    // Keep a view for every chunk in [firstChunk, lastChunk] of the current
+    // simulation, and show only the pickups and hazards it still has
+    function updateChunkViews(firstChunk, lastChunk) {
+      if (chunkViewsSim !== sim) {
+        chunkViews.forEach(destroyChunkView);
+        chunkViews.clear();
+        chunkViewsSim = sim;
+      }
+      chunkViews.forEach((view, index) => {
+        if (index < firstChunk || index > lastChunk) {
+          destroyChunkView(view);
+          chunkViews.delete(index);
+        }
+      });
+      for (let index = firstChunk; index <= lastChunk; index++) {
+        if (!chunkViews.has(index)) {
+          chunkViews.set(index, createChunkView(index));
+        }
+        const view = chunkViews.get(index);
+        view.pickups.forEach(pickup => {
+          pickup.graphics.visible = !sim.collectedPickups.has(pickup.id);
+        });
+        view.hazards.forEach(part => {
+          part.graphics.visible = !sim.removedHazards.has(part.id);
+        });
+      }
+    }
+
+    function createChunkView(index) {
+      const features = getChunkFeatures(sim.seed, index);
+      const view = { zone: null, terrain: new PIXI.Graphics(), pickups: [], hazards: [] };
+      
+      // Air zone: a faint tint (the streaks are drawn by drawWindStreaks)
+      if (features.zone) {
+        const bounds = getZoneBounds(sim.seed, features.zone);
+        view.zone = new PIXI.Graphics();
+        view.zone.beginFill(AIR_ZONES[features.zone.type].color, 0.12);
+        view.zone.drawRect(bounds.left * PHYSICS_SCALE, -bounds.top * PHYSICS_SCALE,
+          features.zone.width * PHYSICS_SCALE, features.zone.height * PHYSICS_SCALE);
+        view.zone.endFill();
+        zoneLayer.addChild(view.zone);
+      }
+      
+      // Pickups, each on its own so collecting one just hides it
+      features.pickups.forEach(pickup => {
+        const type = PICKUPS[pickup.type];
+        const position = getPickupPosition(sim.seed, pickup);
+        const x = position.x * PHYSICS_SCALE;
+        const y = -position.y * PHYSICS_SCALE;
+        const r = type.radius * PHYSICS_SCALE;
+        const pickupGraphics = new PIXI.Graphics();
+        if (pickup.type === 'boostRing') {
+          pickupGraphics.lineStyle(5, type.color);
+          pickupGraphics.drawEllipse(x, y, r * 0.4, r);
+          pickupGraphics.lineStyle(0);
+        } else if (pickup.type === 'fuelCan') {
+          pickupGraphics.beginFill(type.color);
+          pickupGraphics.drawRoundedRect(x - r * 0.7, y - r, r * 1.4, r * 2, 4);
+          pickupGraphics.endFill();
+        } else {
+          pickupGraphics.beginFill(type.color);
+          pickupGraphics.drawCircle(x, y, r);
+          pickupGraphics.endFill();
+          pickupGraphics.lineStyle(2, 0xb45309);
+          pickupGraphics.drawCircle(x, y, r * 0.6);
+          pickupGraphics.lineStyle(0);
+        }
+        pickupLayer.addChild(pickupGraphics);
+        view.pickups.push({ id: pickup.id, graphics: pickupGraphics });
       });
       
-      // Render launcher (much more visible)
-      if (gameState === 'launching') {
-        const launcherGraphics = new PIXI.Graphics();
-        
-        // Launcher base (dark gray)
-        launcherGraphics.beginFill(0x374151);
-        launcherGraphics.drawRect(-camera.x - 40, -camera.y + app.renderer.height * 0.7, 80, 30);
-        launcherGraphics.endFill();
-        
-        // Launcher barrel (bright orange for visibility)
-        const barrelLength = 60;
-        const barrelX = Math.cos(launchAngle) * barrelLength;
-        const barrelY = -Math.sin(launchAngle) * barrelLength;
-        
-        launcherGraphics.lineStyle(12, 0xf97316);
-        launcherGraphics.moveTo(-camera.x, -camera.y + app.renderer.height * 0.7);
-        launcherGraphics.lineTo(-camera.x + barrelX, -camera.y + app.renderer.height * 0.7 + barrelY);
-        
-        ground.addChild(launcherGraphics);
+      // Terrain profile on the same vertex grid as the physics chains
+      const surface = [];
+      let lowest = Infinity;
+      const startX = index * TERRAIN.chunkWidth;
+      for (let x = startX; x <= startX + TERRAIN.chunkWidth; x += TERRAIN.step) {
+        const height = terrainHeight(sim.seed, x);
+        lowest = Math.min(lowest, height);
+        surface.push(x * PHYSICS_SCALE, -height * PHYSICS_SCALE);
       }
       
-      // Render player (bright and visible)
-      if (playerBody && (gameState === 'launching' || gameState === 'flying')) {
-        const pos = playerBody.getPosition();
-        const playerGraphics = new PIXI.Graphics();
+      // Dirt well below the lowest point
+      const bottom = -(lowest - TERRAIN_DEPTH) * PHYSICS_SCALE;
+      view.terrain.beginFill(0x8B4513);
+      view.terrain.drawPolygon([
+        ...surface,
+        surface[surface.length - 2], bottom,
+        surface[0], bottom
+      ]);
+      view.terrain.endFill();
+      
+      // Grass along the surface
+      view.terrain.lineStyle(4, 0x22c55e);
+      view.terrain.moveTo(surface[0], surface[1]);
+      for (let i = 2; i < surface.length; i += 2) {
+        view.terrain.lineTo(surface[i], surface[i + 1]);
+      }
+      terrainLayer.addChild(view.terrain);
+      
+      // Hazards on top of the terrain they stand on, one graphics per part
+      const hazard = features.hazard;
+      if (hazard) {
+        HAZARDS[hazard.type].parts.forEach((part, partIndex) => {
+          const position = getHazardPartPosition(sim.seed, hazard, part);
+          const partGraphics = new PIXI.Graphics();
+          partGraphics.beginFill(part.color);
+          if (part.circle) {
+            partGraphics.drawCircle(0, 0, part.circle * PHYSICS_SCALE);
+          } else {
+            const hw = part.box[0] * PHYSICS_SCALE;
+            const hh = part.box[1] * PHYSICS_SCALE;
+            partGraphics.drawRect(-hw, -hh, hw * 2, hh * 2);
+            // Screen y is flipped, so the angle is too
+            partGraphics.rotation = -(part.angle || 0);
+          }
+          partGraphics.endFill();
+          partGraphics.position.set(position.x * PHYSICS_SCALE, -position.y * PHYSICS_SCALE);
+          hazardLayer.addChild(partGraphics);
+          view.hazards.push({ id: `${hazard.id}:${partIndex}`, graphics: partGraphics });
+        });
+      }
+      
+      return view;
+    }
+
+    function destroyChunkView(view) {
+      if (view.zone) view.zone.destroy();
+      view.terrain.destroy();
+      view.pickups.forEach(pickup => pickup.graphics.destroy());
+      view.hazards.forEach(part => part.graphics.destroy());
+    }
+
+    // Streaks drifting with each zone's wind. Their positions are a function of
+    // time, so there's no particle state to keep
+    function drawWindStreaks(firstChunk, lastChunk) {
+      windStreaks.clear();
+      // Reduced motion holds the streaks still
+      const time = getSetting('reducedMotion') ? 0 : performance.now() / 1000;
+      for (let index = firstChunk; index <= lastChunk; index++) {
+        const zone = getChunkFeatures(sim.seed, index).zone;
+        if (!zone) continue;
+        const type = AIR_ZONES[zone.type];
+        const bounds = getZoneBounds(sim.seed, zone);
+        const left = bounds.left * PHYSICS_SCALE;
+        const top = -bounds.top * PHYSICS_SCALE;
+        const width = zone.width * PHYSICS_SCALE;
+        const height = zone.height * PHYSICS_SCALE;
         
-        // Player body (bright red for visibility)
-        playerGraphics.beginFill(0xef4444);
-        playerGraphics.drawCircle(
-          pos.x * PHYSICS_SCALE - camera.x,
-          -pos.y * PHYSICS_SCALE - camera.y,
-          0.3 * PHYSICS_SCALE
-        );
-        playerGraphics.endFill();
+        const speed = Math.sqrt(type.wind.x * type.wind.x + type.wind.y * type.wind.y);
+        const dirX = type.wind.x / speed;
+        const dirY = -type.wind.y / speed;
+        windStreaks.lineStyle(2, type.color, 0.5);
+        for (let i = 0; i < getQuality().windStreaks; i++) {
+          const travel = (time * speed * PHYSICS_SCALE * 0.5 + hashUnit(index, i) * 1000);
+          const u = ((hashUnit(index, i + 100) * width + travel * Math.abs(dirX)) % width);
+          const v = ((hashUnit(index, i + 200) * height + travel * Math.abs(dirY)) % height);
+          const x = left + (dirX < 0 ? width - u : u);
+          const y = top + (dirY < 0 ? height - v : v);
+          windStreaks.moveTo(x, y);
+          windStreaks.lineTo(x - dirX * 10, y - dirY * 10);
+        }
+        windStreaks.lineStyle(0);
+      }
+    }
+
+    // Targeting: dotted arc for the current charge, then the landing spot
+    function updatePreviewView() {
+      const preview = gameState === 'launching' && launchPower > 0 ? getTrajectoryPreview() : null;
+      previewView.visible = !!preview;
+      if (!preview) return;
+      const reticle = sim.stats.targeting >= 2 && preview.landing !== null;
+      if (previewDrawn && previewDrawn.preview === preview &&
+          previewDrawn.dots === preview.points.length && previewDrawn.reticle === reticle) {
+        return;
+      }
+      previewDrawn = { preview, dots: preview.points.length, reticle };
+      
+      previewView.clear();
+      previewView.beginFill(0xFFFFFF, 0.8);
+      for (let i = 0; i < preview.points.length; i += 2) {
+        previewView.drawCircle(preview.points[i] * PHYSICS_SCALE, -preview.points[i + 1] * PHYSICS_SCALE, 3);
+      }
+      previewView.endFill();
+      if (reticle) {
+        const landingX = preview.landing * PHYSICS_SCALE;
+        const landingY = -terrainHeight(sim.seed, preview.landing) * PHYSICS_SCALE;
+        previewView.lineStyle(3, 0xef4444);
+        previewView.drawCircle(landingX, landingY, 12);
+        previewView.moveTo(landingX - 18, landingY);
+        previewView.lineTo(landingX + 18, landingY);
+        previewView.moveTo(landingX, landingY - 18);
+        previewView.lineTo(landingX, landingY + 18);
+        previewView.lineStyle(0);
+      }
+    }
+
+    // Move a vehicle view to a world position, redrawing it only when the vehicle changes
+    function placeVehicleView(view, vehicle, x, y, angle) {
+      if (view.vehicle !== vehicle) {
+        view.vehicle = vehicle;
+        view.graphics.clear();
+        drawVehicle(view.graphics, vehicle);
+      }
+      view.graphics.position.set(x * PHYSICS_SCALE, -y * PHYSICS_SCALE);
+      // Screen y is flipped, so the angle is too
+      view.graphics.rotation = -angle;
+    }
+
+    // Draw a vehicle's outline around the graphics' origin, at angle 0 (y flipped)
+    function drawVehicle(graphics, vehicle) {
+      if (vehicle.circle) {
+        const r = vehicle.circle * PHYSICS_SCALE;
+        graphics.beginFill(vehicle.color);
+        graphics.drawCircle(0, 0, r);
+        graphics.endFill();
         
-        // White outline for even better visibility
-        playerGraphics.lineStyle(2, 0xFFFFFF);
-        playerGraphics.drawCircle(
-          pos.x * PHYSICS_SCALE - camera.x,
-          -pos.y * PHYSICS_SCALE - camera.y,
-          0.3 * PHYSICS_SCALE
-        );
+        // White outline, plus a stripe so the spin is visible
+        graphics.lineStyle(2, 0xFFFFFF);
+        graphics.drawCircle(0, 0, r);
+        graphics.moveTo(0, 0);
+        graphics.lineTo(r, 0);
+      } else {
+        const points = vehicle.polygon.flatMap(v => [v.x * PHYSICS_SCALE, -v.y * PHYSICS_SCALE]);
         
-        // Debug: show player physics position as text
-        if (gameState === 'flying') {
-          console.log('Player position:', pos.x.toFixed(2), pos.y.toFixed(2));
-        }
+        graphics.beginFill(vehicle.color);
+        graphics.drawPolygon(points);
+        graphics.endFill();
         
-        ground.addChild(playerGraphics);
+        // Outline for even better visibility
+        graphics.lineStyle(2, vehicle.outline || 0xFFFFFF);
+        graphics.drawPolygon(points);
+      }
+      graphics.lineStyle(0);
+    }
+
+    // Match the canvas resolution to the quality setting; CSS keeps it full size
+    function applyQuality() {
+      const resolution = getQuality().resolution;
+      if (app.renderer.resolution !== resolution) {
+        app.renderer.resize(app.screen.width, app.screen.height, resolution);
       }
     }
 
     // Update UI based on current state
-    function updateUI() {
+    updateUI = function () {
+      applyQuality();
       mainMenuContainer.visible = gameState === 'mainMenu';
       launchingContainer.visible = gameState === 'launching';
-      flyingContainer.visible = gameState === 'flying';
+      flyingContainer.visible = gameState === 'flying' || gameState === 'replay';
       shopContainer.visible = gameState === 'shop';
+      garageContainer.visible = gameState === 'garage';
+      historyContainer.visible = gameState === 'history';
+      achievementsContainer.visible = gameState === 'achievements';
+      leaderboardContainer.visible = gameState === 'leaderboard';
+      settingsContainer.visible = gameState === 'settings';
+      pausedContainer.visible = gameState === 'paused';
+      touchControlsContainer.visible = gameState === 'launching' || gameState === 'flying' || gameState === 'replay';
       gameOverContainer.visible = gameState === 'gameOver';
 
+      if (touchControlsContainer.visible) {
+        updateTouchControls();
+      } else {
+        pointerActions = {};
+      }
+
       if (gameState === 'mainMenu') {
         createMainMenu();
-        camera.x = 0;
-        camera.y = 0;
+        frameCamera(0, 2);
       } else if (gameState === 'launching') {
-        createLaunching();
-        camera.x = 0;
-        camera.y = 0;
-      } else if (gameState === 'flying') {
-        createFlying();
+        updateLaunching();
+        frameCamera(0, 2);
+      } else if (gameState === 'flying' || gameState === 'replay') {
+        updateFlying();
       } else if (gameState === 'shop') {
         createShop();
+      } else if (gameState === 'garage') {
+        createGarage();
+      } else if (gameState === 'history') {
+        createHistory();
+      } else if (gameState === 'achievements') {
+        createAchievements();
+      } else if (gameState === 'leaderboard') {
+        createLeaderboard();
+      } else if (gameState === 'paused') {
+        createPaused();
+      } else if (gameState === 'settings') {
+        createSettings();
       } else if (gameState === 'gameOver') {
         createGameOver();
       }
       
       renderWorld();
-    }
+    };
 
     // Initialize everything
-    createPhysicsWorld();
     setupInput();
+    setupAudio();
+    setupCamera();
+    setupAchievements();
+    leaderboard = createLocalLeaderboard(LEADERBOARD_KEY);
+    loadProfiles();
     loadGameData();
+    sim = createSimulation(createSeed(), getLoadout(), launchAngle);
     updateUI();
+    
+    // Shared replay links open straight into playback
+    if (location.hash.startsWith('#replay=')) {
+      importReplay(location.hash, 'mainMenu');
+    }
 
     // Resize handler
     function layout() {
@@ -879,24 +5143,33 @@
     }
     window.addEventListener('resize', layout);
 
-    // Main game loop
+    // Main game loop: ticker time drives input and rendering,
+    // updatePhysics converts it into fixed physics steps
     app.ticker.add((ticker) => {
       const deltaTime = ticker.deltaMS / 1000;
       
       updateInput(deltaTime);
       updatePhysics(deltaTime);
+      updateTrajectoryPreview();
+      updateReplayVerification();
+      updateCamera(deltaTime);
+      updateAudio();
       
       // Update launching screen power meter
       if (gameState === 'launching') {
-        createLaunching();
+        updateLaunching();
       }
       
       // Update flying screen distance
-      if (gameState === 'flying') {
-        createFlying();
+      if (gameState === 'flying' || gameState === 'replay') {
+        updateFlying();
       }
       
+      renderToasts(deltaTime);
       renderWorld();
     });
+  }).catch((error) => {
+    log.error('Failed to start the game:', error);
+    appContainer.textContent = 'The game failed to load. If you opened index.html from disk, serve the public folder instead (see README).';
   });
 })();
\ No newline at end of file